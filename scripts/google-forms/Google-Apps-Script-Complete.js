@@ -1,716 +1,5180 @@
 /**
- * Google Apps Script for Creating SQL Saturday 2025 Feedback Forms
+ * Google Apps Script for Creating SQL Saturday Feedback Forms
  * Automatically fetches session data from Sessionize API and creates Google Forms
  */
 
 // Configuration
 const CONFIG = {
-  sessionizeApiUrl: 'https://sessionize.com/api/v2/ta7h58rh/view/Sessions',
-  folderName: 'SQL Saturday 2025 Feedback Forms',
-  spreadsheetName: 'SQL Saturday 2025 - Form Links',
-  
-  // Form questions configuration
-  ratingQuestions: [
-    'How would you rate the speaker\'s knowledge of the subject?',
-    'How would you rate the speaker\'s presentation skills?',
-    'How would you rate the quality of demos/examples?',
-    'Did you learn what you expected from this session?'
-  ],
+  // Events this script manages. Every function works on one event; entry points
+  // use the active event (the ACTIVE_EVENT Script Property, or activeEvent below)
+  // unless they are given one. Folder and spreadsheet names default to
+  // "<name> <year> Feedback Forms", "<name> <year> - Form Links", etc.
+  // Session times from Sessionize are local to the event, so they are always
+  // read and displayed in the event's timezone regardless of the script's own timezone.
+  activeEvent: 'sqlsat-br-2025',
+  events: {
+    'sqlsat-br-2025': {
+      name: 'SQL Saturday',
+      year: 2025,
+      displayName: 'SQL Saturday Baton Rouge 2025',
+      sessionizeId: 'ta7h58rh',
+      timeZone: 'America/Chicago',
+      folderName: 'SQL Saturday 2025 Feedback Forms'
+    }
+    // 'sqlsat-br-2026': {
+    //   name: 'SQL Saturday',
+    //   year: 2026,
+    //   displayName: 'SQL Saturday Baton Rouge 2026',
+    //   sessionizeId: '<sessionize id>',
+    //   timeZone: 'America/Chicago'
+    // }
+  },
+  
+  sheetDateFormat: 'ddd, mmm d, yyyy h:mm AM/PM',
+  
+  // Session filter rules - checked in order, the first matching rule decides.
+  // Conditions in one rule must all match: categories (Sessionize category name ->
+  // accepted values), isServiceSession, isPlenumSession, status, rooms, titlePattern.
+  sessionFilters: {
+    defaultAction: 'include',
+    rules: [
+      { name: 'Service sessions', action: 'exclude', isServiceSession: true },
+      { name: 'Plenum sessions (keynote)', action: 'exclude', isPlenumSession: true },
+      { name: 'Not accepted', action: 'exclude', status: ['Accepted'], negate: true },
+      { name: 'Breaks and logistics', action: 'exclude', titlePattern: '^(Lunch|Break|Registration|Keynote|Welcome|Closing|Raffle)\\b' }
+    ]
+  },
+  
+  // Batch generation - stop before the 6 minute Apps Script limit and resume from a trigger
+  batch: {
+    maxRuntimeMs: 4.5 * 60 * 1000,
+    // Apps Script stops executions after 6 minutes
+    executionLimitMs: 6 * 60 * 1000,
+    resumeDelayMinutes: 1,
+    delayBetweenFormsMs: 500
+  },
+  
+  // Form open/close schedule - forms stay closed until the session starts and
+  // close a while after it ends (see installFormScheduler)
+  formSchedule: {
+    enabled: true,
+    openMinutesBeforeStart: 0,
+    closeMinutesAfterEnd: 24 * 60,
+    defaultDurationMinutes: 60,
+    checkIntervalMinutes: 15,
+    notYetOpenMessage: 'Feedback for this session opens when the session starts. Please come back then!',
+    closedMessage: 'Feedback for this session is now closed. Thank you for attending {event}!'
+  },
+  
+  // Header of new session forms: the banner (looked up by file name in Drive), a photo,
+  // tagline and bio for each speaker from the Sessionize Speakers view, and the session
+  // abstract. The confirmation message points to the next session in the same room
+  // ({title}, {time} and {url} of that session). When that session has no form, the message
+  // without a link is used; rooms with nothing after get lastSessionMessage.
+  formBranding: {
+    enabled: true,
+    bannerFileName: 'Banner.png',
+    speakerPhotoWidth: 160,
+    maxBioLength: 600,
+    maxAbstractLength: 1500,
+    confirmationMessage: 'Thank you for your feedback! It goes straight to the speakers.',
+    nextSessionMessage: 'Next in {room}: "{title}" at {time}. Rate it here after the session: {url}',
+    nextSessionNoFormMessage: 'Next in {room}: "{title}" at {time}.',
+    lastSessionMessage: 'That was the last session in {room}. Thank you for attending {event}!'
+  },
+  
+  // Forms whose session is no longer in the Sessionize data are closed with this message
+  // and moved to an Archived subfolder of the forms folder at the end of each generation
+  // run. Their responses are kept, and the form is moved back if the session returns.
+  archive: {
+    folderName: 'Archived',
+    closedMessage: 'This session is no longer on the {event} schedule, so this form is not accepting feedback. Thank you!'
+  },
+  
+  // Fallback session data - every successful API fetch is saved here and used when the API fails
+  sessionSnapshot: {
+    importFileName: 'sessions.json',
+    propertyChunkSize: 8000
+  },
+  
+  // Speaker feedback reports
+  speakerReports: {
+    folderName: 'Speaker Reports',
+    emailSheetName: 'Speaker Emails',
+    reportSheetName: 'Speaker Reports',
+    emailSubject: 'Your {event} session feedback',
+    replyTo: ''
+  },
+  
+  // Event-wide form (see createEventFeedbackForm) - one form with a timeslot and
+  // session picker instead of a form per session. Each response can rate up to
+  // maxSessionsPerResponse sessions.
+  eventForm: {
+    maxSessionsPerResponse: 3,
+    timeslotQuestion: 'When was the session?',
+    sessionQuestion: 'Which session did you attend?',
+    anotherSessionQuestion: 'Would you like to rate another session?'
+  },
+  
+  // Duplicate and spam detection (see reviewFeedbackResponses). Forms are anonymous and
+  // accept any number of responses, so suspicious ones are listed on a review tab:
+  //   burst      burstMinResponses identical submissions to one form, each within
+  //              burstWindowSeconds of the previous one
+  //   identical  identicalMinResponses submissions to one form with the same ratings
+  //              and no comments
+  //   gibberish  comments that look like keyboard mashing
+  // Responses marked Junk on the review tab are left out of every report when excludeJunk is set.
+  responseReview: {
+    sheetName: 'Response Review',
+    excludeJunk: true,
+    burstWindowSeconds: 30,
+    burstMinResponses: 3,
+    // Same ratings without comments are only suspicious when they arrive together and
+    // are a large share of the form's responses (full marks are common in big sessions)
+    identicalWindowMinutes: 5,
+    identicalMinResponses: 4,
+    identicalMinShare: 0.5,
+    decisions: ['Pending', 'Keep', 'Junk']
+  },
+  
+  // Comment analysis for the text questions - no external service. Sentiment is the sum
+  // of the lexicon scores of a comment's words (a negation within the three words before
+  // flips the score). Themes are tagged when a comment contains one of their keywords;
+  // a trailing * matches any ending (demo* matches demos and demonstration).
+  commentAnalysis: {
+    trackCategory: 'Track',
+    negations: ['not', 'no', 'never', 'nothing', 'hardly', 'barely', 'without', 'dont', 'didnt', 'wasnt', 'isnt', 'couldnt', 'wouldnt'],
+    lexicon: {
+      excellent: 3, amazing: 3, awesome: 3, outstanding: 3, fantastic: 3, brilliant: 3, best: 3, loved: 3, love: 3,
+      great: 2, engaging: 2, informative: 2, helpful: 2, useful: 2, enjoyed: 2, valuable: 2, clear: 2, knowledgeable: 2, practical: 2,
+      good: 1, nice: 1, interesting: 1, fun: 1, liked: 1, thanks: 1, thank: 1, well: 1, easy: 1,
+      confusing: -2, boring: -2, rushed: -2, unclear: -2, disorganized: -2, useless: -3, terrible: -3, awful: -3, worst: -3,
+      hard: -1, difficult: -1, slow: -1, fast: -1, lost: -1, cold: -1, hot: -1, loud: -1, quiet: -1, small: -1, tiny: -1,
+      bad: -2, poor: -2, problem: -1, problems: -1, issue: -1, issues: -1, distracting: -2, missing: -1
+    },
+    themes: {
+      'Audio': ['audio', 'mic', 'microphone*', 'hear', 'heard', 'sound', 'volume', 'loud', 'quiet', 'speak up'],
+      'Pace': ['pace', 'paced', 'pacing', 'rush*', 'hurried', 'too fast', 'too slow', 'ran out of time', 'out of time', 'dragged'],
+      'Demos': ['demo*', 'example*', 'hands-on', 'live coding', 'walkthrough'],
+      'Slides': ['slide*', 'deck', 'font*', 'powerpoint', 'text size', 'screen', 'zoom', 'readable', 'hard to read'],
+      'Room temperature': ['cold', 'freezing', 'hot', 'warm', 'temperature', 'air conditioning', 'thermostat'],
+      // Level themes only match phrases; "basic" or "advanced" alone usually describes the topic
+      'Too basic': ['too basic', 'too simple', 'too easy', 'too introductory', 'already knew', 'more depth', 'go deeper', 'more advanced'],
+      'Too advanced': ['too advanced', 'too complex', 'too complicated', 'too technical', 'over my head', 'hard to follow', 'lost me']
+    }
+  },
+  
+  // Sponsor raffle - entries go to a separate raffle form (in a Raffle subfolder of the
+  // forms folder), so contact details are never stored in the same response as feedback.
+  // Each session form's confirmation message links to it with that session's raffle
+  // code filled in; the code is only shown after submitting feedback, and responses
+  // without a known code don't count. drawRaffleWinners() gives one entry per code and
+  // writes a separate
+  // "<event> - Raffle" spreadsheet. Tiers are drawn in order, one prize per sponsor
+  // (logos in assets/images/Sponsor Logos/Raffle are prefixed with their tier number).
+  raffle: {
+    enabled: true,
+    folderName: 'Raffle',
+    formDescription: 'Enter the {event} sponsor raffle! Every session you rate gives you one more entry - ' +
+      'use the raffle link shown after you submit each session\'s feedback. This form is separate from the ' +
+      'feedback forms, so your name and email are not stored with your feedback.',
+    confirmationLink: 'Enter the sponsor raffle for this session (one entry per session you rate): {url}',
+    codeQuestion: 'Raffle code',
+    codeHelpText: 'Filled in from the link shown after you submit a session\'s feedback - please leave it as it is.',
+    nameQuestion: 'Name for the raffle',
+    emailQuestion: 'Email address for the raffle',
+    allowMultipleWins: false,
+    tiers: [
+      { name: 'Tier 1', prizes: ['CGI', 'Excella', 'Glean', 'Envoc'] },
+      { name: 'Tier 2', prizes: ['DBADuck', 'EAG', 'Tekchix', 'Rubrik'] },
+      { name: 'Tier 3', prizes: ['Anatres', 'ISACA Baton Rouge', 'Louisiana Blue', 'PCG', 'COZYROC'] }
+    ]
+  },
   
-  textQuestions: [
+  // Analytics dashboard in the feedback workbook (see buildFeedbackDashboard).
+  // Scores are grouped by each Sessionize category listed here, then by room and timeslot.
+  dashboard: {
+    sheetName: 'Dashboard',
+    categories: ['Track', 'Level', 'Session format']
+  },
+  
+  // Feedback landing page served by doGet (deploy as a web app). Precon rooms are
+  // listed together under preconRoomName; "just ended" lasts justEndedMinutes.
+  webApp: {
+    preconRoomName: 'Precons',
+    preconRooms: ['LA Tech Park 1', 'LA Tech Park 2'],
+    justEndedMinutes: 30
+  },
+  
+  // Printable signs with a QR code for each feedback form (see createSessionSigns).
+  // templateId is the Drive id of the SQLSatBR template converted to Google Slides;
+  // when it is set the decks are copies of it, otherwise a blank deck is used.
+  // The logo is looked up by file name in Drive.
+  signs: {
+    folderName: 'Room Signs',
+    templateId: '',
+    layoutName: 'Blank',
+    logoFileName: 'SQL_2025.png',
+    primaryColor: '#2F5233',
+    secondaryColor: '#8FBC8F',
+    qrCodeApiUrl: 'https://api.qrserver.com/v1/create-qr-code/?size={size}x{size}&margin=10&data={data}',
+    qrCodeSize: 400,
+    callToAction: 'Scan the QR code to rate this session'
+  },
+  
+  // Form questions - one entry per form item, built in order:
+  //   rating          1-5 scale used in rollups and speaker reports (lowLabel, highLabel)
+  //   scale           any linear scale (low 0 or 1, high 3-10), e.g. 0-10 for NPS
+  //   text, paragraph free text; validation { type: 'email' | 'url' | 'number' | 'pattern' (text only)
+  //                   | 'maxLength' | 'minLength', value, helpText }
+  //   multipleChoice, list  choices; goTo { choice: sectionId | 'submit' | 'continue' } branches
+  //   checkbox        choices; validation { type: 'minSelections' | 'maxSelections', value }
+  //   grid            rows and columns (one answer per row)
+  //   section         page break with an id; goTo sets where to go once the section is finished
+  // Every question takes title, helpText and required (ratings are required by default);
+  // multipleChoice and checkbox take other: true. Mistakes are reported before any form is built.
+  questions: [
+    { type: 'rating', title: 'How would you rate the speaker\'s knowledge of the subject?' },
+    { type: 'rating', title: 'How would you rate the speaker\'s presentation skills?' },
+    { type: 'rating', title: 'How would you rate the quality of demos/examples?' },
+    { type: 'rating', title: 'Did you learn what you expected from this session?' },
     {
+      type: 'paragraph',
       title: 'What can the speaker do to improve?',
       helpText: 'Please provide constructive feedback to help the speaker improve their presentation.'
     },
     {
+      type: 'paragraph',
       title: 'What did you like about the speaker and session?',
       helpText: 'Please share what you found valuable or enjoyed about this session.'
+    },
+    {
+      type: 'multipleChoice',
+      title: 'Did you stay for the whole session?',
+      choices: ['Yes', 'No'],
+      goTo: { Yes: 'submit', No: 'left-early' }
+    },
+    { type: 'section', id: 'left-early', title: 'Leaving early' },
+    {
+      type: 'checkbox',
+      title: 'Why did you leave early?',
+      choices: ['Another session I wanted to see', 'The content was not what I expected', 'Too basic', 'Too advanced', 'Hard to see or hear'],
+      other: true
     }
-  ]
+  ],
+  
+  // Co-presented sessions (more than one speaker) also get a grid question per speaker,
+  // placed after the template's leading rating questions. Each row is rated on the
+  // numbered columns; reports split these scores out per speaker.
+  speakerRatings: {
+    enabled: true,
+    title: 'How would you rate {speaker}?',
+    helpText: '1 = Poor, 5 = Excellent',
+    rows: ['Knowledge of the subject', 'Presentation skills'],
+    columns: ['1', '2', '3', '4', '5']
+  },
+  
+  // Question sets per kind of session. A template without questions uses the
+  // standard ones above. Rules are checked in order with the same conditions as
+  // sessionFilters (categories, rooms, titlePattern, ...) and the first match picks
+  // the template, e.g. { template: 'lightning', rooms: ['BEC 1425 (Cloud 2)'] }
+  questionTemplates: {
+    defaultTemplate: 'standard',
+    templates: {
+      standard: {},
+      precon: {
+        questions: [
+          { type: 'rating', title: 'How would you rate the speaker\'s knowledge of the subject?' },
+          { type: 'rating', title: 'How would you rate the speaker\'s presentation skills?' },
+          { type: 'rating', title: 'How would you rate the hands-on exercises and labs?' },
+          { type: 'rating', title: 'How well did the workshop use the full day?' },
+          { type: 'scale', title: 'How likely are you to recommend this workshop to a colleague?', low: 0, high: 10, lowLabel: 'Not likely', highLabel: 'Very likely', required: true },
+          {
+            type: 'paragraph',
+            title: 'What can the speaker do to improve?',
+            helpText: 'Please provide constructive feedback to help the speaker improve their workshop.'
+          },
+          {
+            type: 'paragraph',
+            title: 'Which parts of the workshop were most and least useful?',
+            helpText: 'Let us know which modules or labs to keep, expand or drop.'
+          }
+        ]
+      },
+      lightning: {
+        questions: [
+          { type: 'rating', title: 'How would you rate the speaker\'s presentation skills?' },
+          { type: 'rating', title: 'How well did the talk fit its 20 minute slot?' },
+          {
+            type: 'paragraph',
+            title: 'What did you like about the speaker and session?',
+            helpText: 'Please share what you found valuable or enjoyed about this talk.'
+          }
+        ]
+      }
+    },
+    rules: [
+      { name: 'Precon workshops', template: 'precon', categories: { 'Session format': ['Preconference Workshop'] } },
+      { name: 'Lightning talks', template: 'lightning', categories: { 'Session format': ['Lightning Talk (15-20 minutes)'] } }
+    ]
+  }
 };
 
 /**
- * Main function to create all session feedback forms
+ * Main function to create all session feedback forms.
+ * Forms are linked to their Sessionize session id through the form manifest, so
+ * existing forms are updated in place and only new sessions get a new form.
+ * Starts a fresh run; see runFormGenerationBatch() for how long runs are resumed.
+ */
+function createSessionFeedbackForms(event) {
+  event = resolveEvent(event);
+  console.log(`🚀 Starting ${event.label} form generation...`);
+  
+  // Discard any unfinished run of this event so this one starts from the first
+  // session; runs of other events keep their checkpoints
+  deleteGenerationContinuation(event);
+  clearGenerationCheckpoint(event);
+  PropertiesService.getScriptProperties()
+    .setProperty(`checkpoint:${event.id}:startedAt`, new Date().toISOString());
+    
+  return runFormGenerationBatch(event);
+}
+
+/**
+ * Time-driven trigger handler that continues an unfinished form generation run.
+ * Each event's continuation trigger is recorded in its checkpoint, so the trigger
+ * that fired tells which event to continue.
+ */
+function continueSessionFeedbackForms(trigger) {
+  const properties = PropertiesService.getScriptProperties().getProperties();
+  const unfinished = Object.keys(properties)
+    .map(key => key.match(/^checkpoint:(.+):startedAt$/))
+    .filter(match => match)
+    .map(match => match[1]);
+  const eventId = unfinished.find(id => trigger && properties[`checkpoint:${id}:trigger`] === trigger.triggerUid) ||
+    unfinished[0];
+    
+  if (!eventId) {
+    deleteTriggersForHandler('continueSessionFeedbackForms');
+    console.log('⏩ No unfinished form generation run to continue');
+    return null;
+  }
+  
+  const event = getEvent(eventId);
+  deleteGenerationContinuation(event);
+  console.log(`⏩ Continuing ${event.label} form generation from checkpoint...`);
+  
+  return runFormGenerationBatch(event);
+}
+
+/**
+ * Build the full settings for an event from CONFIG.events, filling in defaults
+ */
+function getEvent(eventId) {
+  const settings = CONFIG.events[eventId];
+  if (!settings) {
+    throw new Error(`Unknown event "${eventId}" - add it to CONFIG.events`);
+  }
+  
+  const label = `${settings.name} ${settings.year}`;
+  
+  return Object.assign({
+    label: label,
+    displayName: label,
+    sessionizeApiUrl: `https://sessionize.com/api/v2/${settings.sessionizeId}/view/Sessions`,
+    sessionizeSpeakersUrl: `https://sessionize.com/api/v2/${settings.sessionizeId}/view/Speakers`,
+    folderName: `${label} Feedback Forms`,
+    spreadsheetName: `${label} - Form Links`,
+    feedbackSpreadsheetName: `${label} - Session Feedback`,
+    eventFormName: `${label} - Feedback Form`,
+    raffleFormName: `${label} - Sponsor Raffle`,
+    raffleSpreadsheetName: `${label} - Raffle`,
+    snapshotFileName: `${label} - Sessionize Snapshot.json`
+  }, settings, { id: eventId });
+}
+
+/**
+ * The event entry points work on when none is passed in
+ */
+function getActiveEvent() {
+  const eventId = PropertiesService.getScriptProperties().getProperty('ACTIVE_EVENT') || CONFIG.activeEvent;
+  return getEvent(eventId);
+}
+
+/**
+ * Entry points can be run from the editor (no arguments), from a trigger (an
+ * Apps Script event object) or by other code (an event or event id)
+ */
+function resolveEvent(event) {
+  if (typeof event === 'string') {
+    return getEvent(event);
+  }
+  
+  return event && event.sessionizeId ? event : getActiveEvent();
+}
+
+/**
+ * Replace the {event} placeholder in configured text with the event's display name
+ */
+function fillEventText(event, text) {
+  return text.replace(/\{event\}/g, event.displayName);
+}
+
+/**
+ * Process sessions until done or until the time budget runs out.
+ * Every processed session is saved to the checkpoint; when time runs out a
+ * trigger is scheduled to continue, and the results sheet is only written
+ * once the final batch finishes.
  */
-function createSessionFeedbackForms() {
+function runFormGenerationBatch(event) {
   try {
-    console.log('🚀 Starting SQL Saturday 2025 form generation...');
+    const batchStartedAt = Date.now();
+    const checkpoint = loadGenerationCheckpoint(event);
+    assertValidQuestionSchema();
+    
+    // If this execution is stopped at the time limit, the next batch still runs;
+    // the trigger is moved up when the batch pauses and deleted when the run completes
+    scheduleGenerationContinuation(event, CONFIG.batch.executionLimitMs + CONFIG.batch.resumeDelayMinutes * 60 * 1000);
     
     // Fetch session data from Sessionize API
-    const sessions = fetchSessionData();
+    const sessionData = fetchSessionDataWithSource(event);
+    const sessions = sessionData.sessions;
     console.log(`✓ Fetched ${sessions.length} valid sessions from Sessionize API`);
+    saveGenerationCheckpointBatch(event, checkpoint, sessionData.source);
+    
+    // The banner and speaker photos are looked up once per batch, not for every form
+    const branding = CONFIG.formBranding.enabled ? loadFormBranding() : null;
+    if (branding) {
+      attachSpeakerProfiles(sessions, fetchSpeakerProfiles(event));
+    }
     
     // Create folder for forms
-    const folderId = createFormsFolder();
+    const folderId = createFormsFolder(event);
     console.log(`✓ Created/found forms folder`);
     
-    // Get existing forms to avoid duplicates
+    // Get existing forms and the session-to-form manifest to avoid duplicates
     const existingForms = getExistingForms(folderId);
-    console.log(`📋 Found ${existingForms.length} existing forms in folder`);
+    const manifest = loadFormManifest(event);
+    console.log(`📋 Found ${existingForms.length} existing forms in folder (${Object.keys(manifest).length} in manifest)`);
     
-    // Create forms for each session
-    const results = [];
-    let successCount = 0;
-    let skippedCount = 0;
+    const remaining = sessions.filter(session => !checkpoint.results[getSessionKey(session)]);
+    console.log(`📋 ${sessions.length - remaining.length} sessions already processed, ${remaining.length} remaining`);
     
-    sessions.forEach((session, index) => {
-      try {
-        const expectedFormTitle = `SQL Saturday 2025 - ${session.title} - Feedback`;
-        
-        // Check if form already exists
-        const existingForm = existingForms.find(form => form.getName() === expectedFormTitle);
-        if (existingForm) {
-          console.log(`⏭️  Skipping ${index + 1}/${sessions.length}: ${session.title} (already exists)`);
-          
-          results.push({
-            sessionTitle: session.title,
-            speaker: session.speakers.map(s => s.name).join(', '),
-            room: session.room,
-            startTime: session.startsAt,
-            formUrl: FormApp.openById(existingForm.getId()).getPublishedUrl(),
-            editUrl: FormApp.openById(existingForm.getId()).getEditUrl(),
-            status: 'Already Exists'
-          });
-          
-          skippedCount++;
-          return;
-        }
-        
-        console.log(`Creating form ${index + 1}/${sessions.length}: ${session.title}`);
-        
-        const form = createFeedbackForm(session, folderId);
-        
-        results.push({
-          sessionTitle: session.title,
-          speaker: session.speakers.map(s => s.name).join(', '),
-          room: session.room,
-          startTime: session.startsAt,
-          formUrl: form.getPublishedUrl(),
-          editUrl: form.getEditUrl(),
-          status: 'Created'
-        });
-        
-        successCount++;
-        console.log(`✓ Created form for: ${session.title}`);
-        
-        // Add small delay to avoid rate limiting
-        Utilities.sleep(500);
-        
-      } catch (error) {
-        console.error(`❌ Failed to create form for: ${session.title}`, error);
-        results.push({
-          sessionTitle: session.title,
-          speaker: session.speakers.map(s => s.name).join(', '),
-          room: session.room,
-          startTime: session.startsAt,
-          formUrl: 'ERROR',
-          editUrl: 'ERROR',
-          status: `Error: ${error.message}`
-        });
+    const pause = sessionsLeft => {
+      scheduleGenerationContinuation(event, CONFIG.batch.resumeDelayMinutes * 60 * 1000);
+      console.log(`⏸️  Time budget reached - ${sessionsLeft} sessions left, continuing in ${CONFIG.batch.resumeDelayMinutes} minute(s)`);
+      
+      return {
+        success: true,
+        complete: false,
+        totalSessions: sessions.length,
+        sessionsProcessed: sessions.length - sessionsLeft,
+        sessionsRemaining: sessionsLeft
+      };
+    };
+    
+    // Create or sync forms for each session
+    for (let i = 0; i < remaining.length; i++) {
+      if (Date.now() - batchStartedAt > CONFIG.batch.maxRuntimeMs) {
+        return pause(remaining.length - i);
       }
-    });
+      
+      const session = remaining[i];
+      const position = sessions.indexOf(session);
+      const result = generateFormForSession(event, session, position, sessions.length, folderId, manifest, existingForms, branding);
+      
+      result.order = position;
+      saveGenerationCheckpointResult(event, getSessionKey(session), result);
+      checkpoint.results[getSessionKey(session)] = result;
+    }
+    
+    // Archiving, confirmation messages and the export open every form, so they get
+    // a batch of their own when the sessions used up most of this one
+    if (remaining.length > 0 && Date.now() - batchStartedAt > CONFIG.batch.maxRuntimeMs / 2) {
+      return pause(0);
+    }
+    
+    const results = Object.values(checkpoint.results).sort((a, b) => a.order - b.order);
+    
+    // Close and archive forms for sessions that left the schedule
+    const archived = archiveOrphanedForms(event, sessions, folderId);
+    
+    // Confirmation messages need every form to exist, so they are set once all are done
+    if (CONFIG.formBranding.enabled || CONFIG.raffle.enabled) {
+      const linked = updateConfirmationMessages(event, sessions, folderId);
+      console.log(`✓ Updated ${linked} confirmation messages`);
+    }
+    
+    // Forms are created closed, so without the scheduler they would never open
+    if (CONFIG.formSchedule.enabled && !ensureFormScheduler()) {
+      console.log('✓ Form scheduler already installed');
+    }
     
     // Export results to spreadsheet
-    const spreadsheetUrl = exportResultsToSheet(results);
+    const spreadsheetUrl = exportResultsToSheet(event, results, {
+      startedAt: checkpoint.startedAt || new Date(batchStartedAt),
+      finishedAt: new Date(),
+      source: checkpoint.source,
+      batches: checkpoint.batches,
+      archived: archived.length
+    });
     console.log(`📊 Results exported to: ${spreadsheetUrl}`);
+    deleteGenerationContinuation(event);
+    clearGenerationCheckpoint(event);
     
     // Summary
+    const counts = countResultStatuses(results);
     console.log(`\n🎉 Form generation completed!`);
-    console.log(`✅ Successfully created: ${successCount} forms`);
-    console.log(`⏭️  Skipped (already exist): ${skippedCount} forms`);
-    console.log(`❌ Failed: ${results.length - successCount - skippedCount} forms`);
+    console.log(`✅ Successfully created: ${counts.created} forms`);
+    console.log(`🔄 Updated in place: ${counts.updated} forms`);
+    console.log(`⏭️  Skipped (already exist): ${counts.skipped} forms`);
+    console.log(`❌ Failed: ${counts.failed} forms`);
+    console.log(`📦 Archived: ${archived.length} forms`);
     console.log(`📋 Results spreadsheet: ${spreadsheetUrl}`);
     
     return {
       success: true,
+      complete: true,
       totalSessions: sessions.length,
-      formsCreated: successCount,
-      formsSkipped: skippedCount,
-      formsFailed: results.length - successCount - skippedCount,
+      formsCreated: counts.created,
+      formsUpdated: counts.updated,
+      formsSkipped: counts.skipped,
+      formsFailed: counts.failed,
+      formsArchived: archived.length,
       results: results,
       spreadsheetUrl: spreadsheetUrl
     };
     
   } catch (error) {
+    // An error (unlike the time limit) would happen again, so the run is not continued
+    deleteGenerationContinuation(event);
     console.error('💥 Fatal error in form generation:', error);
     throw error;
   }
 }
 
 /**
- * Fetch session data from Sessionize API (with fallback to manual data)
+ * Create or sync the form for one session and return its results row
  */
-function fetchSessionData() {
+function generateFormForSession(event, session, index, total, folderId, manifest, existingForms, branding) {
   try {
-    console.log(`📡 Attempting to fetch session data from: ${CONFIG.sessionizeApiUrl}`);
+    const sessionKey = getSessionKey(session);
     
-    const response = UrlFetchApp.fetch(CONFIG.sessionizeApiUrl, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json'
-      },
-      muteHttpExceptions: true
-    });
+    // A session that came back gets its archived form back, responses and all
+    const restored = manifest[sessionKey] ? null : restoreArchivedForm(event, sessionKey, folderId);
+    const form = findFormForSession(event, session, restored || manifest[sessionKey], existingForms);
     
-    if (response.getResponseCode() !== 200) {
-      throw new Error(`API request failed with status ${response.getResponseCode()}: ${response.getContentText()}`);
+    if (form) {
+      // Questions are not rebuilt on existing forms, so they keep the template they were created with
+      const template = (manifest[sessionKey] && manifest[sessionKey].template) || CONFIG.questionTemplates.defaultTemplate;
+      if (template !== findQuestionTemplate(session).name) {
+        console.warn(`⚠️  "${session.title}" now matches the ${findQuestionTemplate(session).name} template but its form uses ${template}`);
+      }
+      
+      const changes = syncFeedbackForm(event, form, session);
+      if (restored) {
+        changes.unshift(`Restored from ${CONFIG.archive.folderName}`);
+        applyFormSchedule(event, form, session, new Date());
+      }
+      saveFormManifestEntry(event, sessionKey, form, session, template);
+      
+      if (changes.length > 0) {
+        console.log(`🔄 Updated ${index + 1}/${total}: ${session.title} (${changes.join('; ')})`);
+        return buildSessionResult(session, form, 'Updated', changes, template);
+      }
+      
+      console.log(`⏭️  Skipping ${index + 1}/${total}: ${session.title} (already exists)`);
+      return buildSessionResult(session, form, 'Already Exists', [], template);
     }
     
-    const data = JSON.parse(response.getContentText());
-    console.log(`✓ Raw API response contains ${data.sessions.length} total sessions`);
+    console.log(`Creating form ${index + 1}/${total}: ${session.title}`);
     
-    // Filter valid sessions (exclude service sessions, breaks, etc.)
-    const validSessions = [];
+    const template = findQuestionTemplate(session).name;
+    const newForm = createFeedbackForm(event, session, folderId, branding);
+    saveFormManifestEntry(event, sessionKey, newForm, session, template);
+    console.log(`✓ Created form for: ${session.title}`);
     
-    data.sessions.forEach(session => {
-      // Skip service sessions and non-feedback sessions
-      if (session.isServiceSession || 
-          /Workshop|Lunch|Break|Registration|Keynote|Welcome|Closing/i.test(session.title) ||
-          session.roomId === 20946 || session.roomId === 20947) {
-        return;
-      }
-      
-      // Create simplified session object
-      validSessions.push({
-        title: session.title,
-        speakers: session.speakers || [],
-        room: session.room,
-        startsAt: session.startsAt,
-        endsAt: session.endsAt,
-        description: session.description
-      });
-    });
+    // Add small delay to avoid rate limiting
+    Utilities.sleep(CONFIG.batch.delayBetweenFormsMs);
     
-    console.log(`✓ Filtered to ${validSessions.length} valid sessions for feedback forms`);
-    return validSessions;
+    return buildSessionResult(session, newForm, 'Created', [], template);
     
   } catch (error) {
-    console.error('❌ Error fetching session data from API:', error);
-    console.log('🔄 Falling back to manual session data...');
-    return getManualSessionData();
+    console.error(`❌ Failed to create form for: ${session.title}`, error);
+    return {
+      sessionId: session.id || '',
+      sessionTitle: session.title,
+      speaker: session.speakers.map(s => s.name).join(', '),
+      room: session.room,
+      startTime: session.startsAt,
+      endTime: session.endsAt || '',
+      formUrl: 'ERROR',
+      editUrl: 'ERROR',
+      template: '',
+      status: `Error: ${error.message}`,
+      changes: ''
+    };
   }
 }
 
 /**
- * Manual session data fallback (in case API access is blocked)
+ * Load the checkpoint of an event's unfinished generation run from Script Properties.
+ * Each processed session's result is stored under "checkpoint:<eventId>:result:<sessionKey>".
  */
-function getManualSessionData() {
-  console.log('📋 Using manual session data...');
+function loadGenerationCheckpoint(event) {
+  const properties = PropertiesService.getScriptProperties().getProperties();
+  const prefix = `checkpoint:${event.id}:`;
+  const results = {};
   
-  // Complete session data for SQL Saturday 2025
-  return [
-    {
-      title: "Hashing: The Cornerstone of Blockchain Security and Data Integrity",
-      speakers: [{name: "James Davis"}],
-      room: "Auditorium",
-      startsAt: "2025-07-26T08:30:00"
-    },
-    {
-      title: "Identify Poorly Performing Queries - Three Tools You Already Own",
-      speakers: [{name: "Grant Fritchey"}],
-      room: "Auditorium",
-      startsAt: "2025-07-26T09:40:00"
-    },
-    {
-      title: "PrAIctical Engineering",
-      speakers: [{name: "Cory Murray"}, {name: "Bryan Fuselier"}],
-      room: "Auditorium",
-      startsAt: "2025-07-26T11:20:00"
-    },
-    {
-      title: "Building Scalable Data Warehouses with Microsoft Fabric:",
-      speakers: [{name: "Jonathan Stewart"}],
-      room: "Auditorium",
-      startsAt: "2025-07-26T13:40:00"
-    },
-    {
-      title: "Common SQL Server Mistakes and How to Avoid Them",
-      speakers: [{name: "Tim Radney"}],
-      room: "Auditorium",
-      startsAt: "2025-07-26T14:45:00"
-    },
-    {
-      title: "How to Diagnose a Slow Power BI Report",
-      speakers: [{name: "Jason Romans"}],
-      room: "BEC 1220 (Analytics)",
-      startsAt: "2025-07-26T08:30:00"
-    },
-    {
-      title: "Applying Forensic Accounting Techniques using SQL and Python",
-      speakers: [{name: "Kevin Feasel"}],
-      room: "BEC 1220 (Analytics)",
-      startsAt: "2025-07-26T09:40:00"
-    },
-    {
-      title: "Mastering Microsoft Fabric Data Warehousing: Tips & Tricks You Need to Know",
-      speakers: [{name: "Kristyna Ferris"}],
-      room: "BEC 1220 (Analytics)",
-      startsAt: "2025-07-26T11:20:00"
-    },
-    {
-      title: "Cutting Through the Buzz: LLM, Agents, RAG, and GPT - Making Sense of Generative AI",
-      speakers: [{name: "Doug Leal"}],
-      room: "BEC 1220 (Analytics)",
-      startsAt: "2025-07-26T13:40:00"
-    },
-    {
-      title: "Unlocking Insights using Natural Language on Databricks Genie Spaces",
-      speakers: [{name: "Srikanth Kumar Rana"}],
-      room: "BEC 1220 (Analytics)",
-      startsAt: "2025-07-26T14:45:00"
-    },
-    {
-      title: "Leadership Principles Uncovered...",
-      speakers: [{name: "Warren Sifre"}],
-      room: "BEC 1225 (Professional Development)",
-      startsAt: "2025-07-26T08:30:00"
-    },
-    {
-      title: "How to Manage Recruiters and Hiring Managers in the Job Search",
-      speakers: [{name: "Ava McClain"}],
-      room: "BEC 1225 (Professional Development)",
-      startsAt: "2025-07-26T09:40:00"
-    },
-    {
-      title: "Careers in IT Baton Rouge 2025",
-      speakers: [{name: "Michael Viron"}],
-      room: "BEC 1225 (Professional Development)",
-      startsAt: "2025-07-26T11:20:00"
-    },
-    {
-      title: "Röck Yoür Cäreer: Time-Tested Wisdom from a 30-Year Software Engineering Veteran",
-      speakers: [{name: "David McCarter"}],
-      room: "BEC 1225 (Professional Development)",
-      startsAt: "2025-07-26T13:40:00"
-    },
-    {
-      title: "Tales from the SWAMP: Navigating the Murky Waters of Project Management",
-      speakers: [{name: "Tanya Boyd"}],
-      room: "BEC 1225 (Professional Development)",
-      startsAt: "2025-07-26T14:45:00"
-    },
-    {
-      title: "Mastering PowerShell Functions and Script Modules: Build, Reuse, and Share Your Code Like a Pro",
-      speakers: [{name: "Mike Robbins"}],
-      room: "BEC 1305 (PowerShell/Automation)",
-      startsAt: "2025-07-26T08:30:00"
-    },
-    {
-      title: "Extending Power BI with Power Automate",
-      speakers: [{name: "Dominick Raimato"}],
-      room: "BEC 1305 (PowerShell/Automation)",
-      startsAt: "2025-07-26T09:40:00"
-    },
-    {
-      title: "Don't Bash PowerShell",
-      speakers: [{name: "Steven Judd"}],
-      room: "BEC 1305 (PowerShell/Automation)",
-      startsAt: "2025-07-26T11:20:00"
-    },
-    {
-      title: "Getting Super Geeky with PowerShell Notebooks - It's Easy!",
-      speakers: [{name: "Joe Houghes"}],
-      room: "BEC 1305 (PowerShell/Automation)",
-      startsAt: "2025-07-26T13:40:00"
-    },
-    {
-      title: "Mastering Cursor: We're All Cooked (But in a Good Way)",
-      speakers: [{name: "Brian Davis"}],
-      room: "BEC 1305 (PowerShell/Automation)",
-      startsAt: "2025-07-26T14:45:00"
-    },
-    {
-      title: "Rapid Prototyping in the Age of AI",
-      speakers: [{name: "Tommy Parrish"}],
-      room: "BEC 1325 (.NET Development)",
-      startsAt: "2025-07-26T08:30:00"
-    },
-    {
-      title: "Learn the basics of Git and GitHub workflow",
-      speakers: [{name: "Sean Wheeler"}],
-      room: "BEC 1325 (.NET Development)",
-      startsAt: "2025-07-26T09:40:00"
-    },
-    {
-      title: "The Developer Testing Toolbox",
-      speakers: [{name: "Jeremy Knight"}],
-      room: "BEC 1325 (.NET Development)",
-      startsAt: "2025-07-26T11:20:00"
-    },
-    {
-      title: "Intro to Angular",
-      speakers: [{name: "Ryan Richard"}],
-      room: "BEC 1325 (.NET Development)",
-      startsAt: "2025-07-26T13:40:00"
-    },
-    {
-      title: "SQL Server Configuration Best Practices",
-      speakers: [{name: "Ben Miller"}],
-      room: "BEC 1325 (.NET Development)",
-      startsAt: "2025-07-26T14:45:00"
-    },
-    {
-      title: "Business Continuity in Azure SQL Databases",
-      speakers: [{name: "John Deardurff"}],
-      room: "BEC 1409 (Cloud)",
-      startsAt: "2025-07-26T08:30:00"
-    },
-    {
-      title: "Microsoft Fabric and Azure Health Data Services",
-      speakers: [{name: "Jared Rhodes"}],
-      room: "BEC 1409 (Cloud)",
-      startsAt: "2025-07-26T09:40:00"
-    },
-    {
-      title: "The Rise of AI Agents: What You Need to Know",
-      speakers: [{name: "Muralidhar Chouhan"}],
-      room: "BEC 1409 (Cloud)",
-      startsAt: "2025-07-26T11:20:00"
-    },
-    {
-      title: "SQL Server Hosting on AWS: Options and Considerations",
-      speakers: [{name: "Alvaro Costa-Neto"}, {name: "Chetan Nandikanti"}],
-      room: "BEC 1409 (Cloud)",
-      startsAt: "2025-07-26T13:40:00"
-    },
-    {
-      title: "Managing SQL Server with Azure Arc Unleashed",
-      speakers: [{name: "David Pless"}, {name: "Abdullah Mamun"}],
-      room: "BEC 1409 (Cloud)",
-      startsAt: "2025-07-26T14:45:00"
-    },
-    {
-      title: "The Collision of Real-Time Analytics and Observability",
-      speakers: [{name: "Barkha Herman"}],
-      room: "BEC 1425 (Cloud 2)",
-      startsAt: "2025-07-26T08:30:00"
-    },
-    {
-      title: "Using Digital Forensics for Data Loss Prevention (DLP)",
-      speakers: [{name: "Paresh Motiwala"}],
-      room: "BEC 1425 (Cloud 2)",
-      startsAt: "2025-07-26T09:40:00"
-    },
-    {
-      title: "Automate Your Documentation with Local AI",
-      speakers: [{name: "Ian Trimble"}],
-      room: "BEC 1425 (Cloud 2)",
-      startsAt: "2025-07-26T11:20:00"
-    },
-    {
-      title: "Connecting Power BI to API using POST",
-      speakers: [{name: "Russel Loski"}],
-      room: "BEC 1425 (Cloud 2)",
-      startsAt: "2025-07-26T13:40:00"
-    },
-    {
-      title: "Secure Communication Protocol for Distributed Environments",
-      speakers: [{name: "Sravanthi Akavaram"}],
-      room: "BEC 1425 (Cloud 2)",
-      startsAt: "2025-07-26T14:00:00"
-    },
-    {
-      title: "Squeezing the Apple for All Its Juice",
-      speakers: [{name: "Mike Sammartino"}],
-      room: "BEC 1425 (Cloud 2)",
-      startsAt: "2025-07-26T14:20:00"
-    },
-    {
-      title: "Who Needs a Warehouse When You've Got a Lakehouse?",
-      speakers: [{name: "Nilanjan Chatterjee"}],
-      room: "BEC 1425 (Cloud 2)",
-      startsAt: "2025-07-26T14:45:00"
-    },
-    {
-      title: "Getting Started Getting Started with Containerization",
-      speakers: [{name: "Garo Yeriazarian"}],
-      room: "BEC 1425 (Cloud 2)",
-      startsAt: "2025-07-26T15:05:00"
-    },
-    {
-      title: "Agentic AI in Construction – Transforming the Industry with Intelligent Solutions",
-      speakers: [{name: "Dr. Srikanth Bangaru"}],
-      room: "BEC 1425 (Cloud 2)",
-      startsAt: "2025-07-26T15:25:00"
-    },
-    {
-      title: "High speed failover Clustering with RDMA/ROCE with Hyper-v over converged multigigabit networks",
-      speakers: [{name: "Christopher Long"}],
-      room: "BEC 1920 (Security)",
-      startsAt: "2025-07-26T08:30:00"
-    },
-    {
-      title: "Strength in Partnerships: Cybersecurity and the Value of Vendor Management",
-      speakers: [{name: "Rachel Arnold"}],
-      room: "BEC 1920 (Security)",
-      startsAt: "2025-07-26T09:40:00"
-    },
-    {
-      title: "SQL Server 2025: an enterprise AI-ready database platform",
-      speakers: [{name: "Ben Miller"}],
-      room: "BEC 1920 (Security)",
-      startsAt: "2025-07-26T11:20:00"
-    },
-    {
-      title: "Let's Hack a Database",
-      speakers: [{name: "Miguel Solis"}],
-      room: "BEC 1920 (Security)",
-      startsAt: "2025-07-26T13:40:00"
-    },
-    {
-      title: "Narrative as a Design Tool",
-      speakers: [{name: "Ricky Tucker"}],
-      room: "BEC 1920 (Security)",
-      startsAt: "2025-07-26T14:45:00"
-    },
-    {
-      title: "Streamlining DataOps in Fabric: Implementing Azure DevOps CI/CD Pipelines for Fabric SQL DB",
-      speakers: [{name: "Kevin Pereira"}],
-      room: "BEC 2520 (SQL Server Development)",
-      startsAt: "2025-07-26T08:30:00"
-    },
-    {
-      title: "Modeling Software Development Problems in Time and Thinking Temporally",
-      speakers: [{name: "Calvin Fabre"}],
-      room: "BEC 2520 (SQL Server Development)",
-      startsAt: "2025-07-26T09:40:00"
-    },
-    {
-      title: "README.md? We Can Do Better!",
-      speakers: [{name: "George Mauer"}],
-      room: "BEC 2520 (SQL Server Development)",
-      startsAt: "2025-07-26T11:20:00"
-    },
-    {
-      title: "Natural Language Queries with ASP.NET",
-      speakers: [{name: "Glenn Rumfellow"}],
-      room: "BEC 2520 (SQL Server Development)",
-      startsAt: "2025-07-26T13:40:00"
-    },
-    {
-      title: "The T-SQL JSON Operators",
-      speakers: [{name: "Jeff Foushee"}],
-      room: "BEC 2520 (SQL Server Development)",
-      startsAt: "2025-07-26T14:45:00"
-    },
-    {
-      title: "Become immediately effective with PowerShell",
-      speakers: [{name: "Sean Wheeler"}],
-      room: "LA Tech Park 1",
-      startsAt: "2025-07-25T08:00:00"
-    },
-    {
-      title: "Jumpstart Your Power BI Skills: A Handson Workshop",
-      speakers: [{name: "Russel Loski"}],
-      room: "LA Tech Park 2",
-      startsAt: "2025-07-25T08:00:00"
+  Object.keys(properties).forEach(key => {
+    if (key.indexOf(`${prefix}result:`) === 0) {
+      results[key.substring(`${prefix}result:`.length)] = JSON.parse(properties[key]);
     }
-  ];
+  });
+  
+  return {
+    results: results,
+    startedAt: properties[`${prefix}startedAt`] ? new Date(properties[`${prefix}startedAt`]) : null,
+    batches: Number(properties[`${prefix}batches`] || 0),
+    source: properties[`${prefix}source`] || ''
+  };
 }
 
 /**
- * Create a feedback form for a single session
+ * Count this batch and its data source in the checkpoint. A run that used the
+ * fallback snapshot in any batch is recorded as Fallback.
  */
-function createFeedbackForm(session, folderId) {
-  // Create the form
-  const formTitle = `SQL Saturday 2025 - ${session.title} - Feedback`;
-  const form = FormApp.create(formTitle);
-  
-  // Move to designated folder
-  const file = DriveApp.getFileById(form.getId());
-  DriveApp.getFolderById(folderId).addFile(file);
-  DriveApp.getRootFolder().removeFile(file);
-  
-  // Set description
-  const speakerNames = session.speakers.map(s => s.name).join(', ');
-  const sessionTime = session.startsAt ? 
-    new Date(session.startsAt).toLocaleString() : 'TBD';
-  
-  form.setDescription(
-    `Session: ${session.title}\n` +
-    `Speaker(s): ${speakerNames}\n` +
-    `Time: ${sessionTime}\n` +
-    `Room: ${session.room}\n\n` +
-    `Your feedback helps speakers improve and helps us plan better events!\n` +
-    `Please rate the session and provide your thoughts.`
-  );
-  
-  // Add rating questions (1-5 scale)
-  CONFIG.ratingQuestions.forEach(question => {
-    form.addScaleItem()
-      .setTitle(question)
-      .setBounds(1, 5)
-      .setLabels('Poor', 'Excellent')
-      .setRequired(true);
-  });
+function saveGenerationCheckpointBatch(event, checkpoint, source) {
+  checkpoint.batches++;
+  if (checkpoint.source !== 'Fallback') {
+    checkpoint.source = source;
+  }
   
-  // Add text questions
-  CONFIG.textQuestions.forEach(question => {
-    form.addParagraphTextItem()
-      .setTitle(question.title)
-      .setHelpText(question.helpText)
-      .setRequired(false);
+  PropertiesService.getScriptProperties().setProperties({
+    [`checkpoint:${event.id}:batches`]: String(checkpoint.batches),
+    [`checkpoint:${event.id}:source`]: checkpoint.source
   });
-  
-  // Set form settings
-  form.setCollectEmail(false);
-  form.setLimitOneResponsePerUser(false);
-  form.setShowLinkToRespondAgain(false);
-  form.setAcceptingResponses(true);
-  
-  return form;
 }
 
 /**
- * Create or find the forms folder in Google Drive
+ * Save one session's result to the checkpoint
  */
-function createFormsFolder() {
-  const folders = DriveApp.getFoldersByName(CONFIG.folderName);
-  
-  if (folders.hasNext()) {
-    return folders.next().getId();
+function saveGenerationCheckpointResult(event, sessionKey, result) {
+  PropertiesService.getScriptProperties()
+    .setProperty(`checkpoint:${event.id}:result:${sessionKey}`, JSON.stringify(result));
+}
+
+/**
+ * Remove an event's checkpoint once its run completes (or before a fresh run)
+ */
+function clearGenerationCheckpoint(event) {
+  clearPropertiesWithPrefix(`checkpoint:${event.id}:`);
+}
+
+/**
+ * Schedule a one-off trigger to continue an event's form generation after delayMs,
+ * replacing the continuation already scheduled for it
+ */
+function scheduleGenerationContinuation(event, delayMs) {
+  deleteGenerationContinuation(event);
+  
+  const trigger = ScriptApp.newTrigger('continueSessionFeedbackForms')
+    .timeBased()
+    .after(delayMs)
+    .create();
+  PropertiesService.getScriptProperties().setProperty(`checkpoint:${event.id}:trigger`, trigger.getUniqueId());
+}
+
+/**
+ * Delete the continuation trigger of an event's run, leaving other events' alone
+ */
+function deleteGenerationContinuation(event) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const triggerId = scriptProperties.getProperty(`checkpoint:${event.id}:trigger`);
+  if (!triggerId) {
+    return;
+  }
+  
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getUniqueId() === triggerId) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  scriptProperties.deleteProperty(`checkpoint:${event.id}:trigger`);
+}
+
+/**
+ * Delete all project triggers that call the given function
+ */
+function deleteTriggersForHandler(handlerName) {
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === handlerName) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+}
+
+/**
+ * Close every form in the forms folder that no current session points to and move it
+ * to the Archived subfolder. Their manifest entries become archived:<eventId>:<key>
+ * records, so the landing page, API and scheduler stop using the form but it can be
+ * restored. Returns the records archived by this call.
+ */
+function archiveOrphanedForms(event, sessions, folderId) {
+  if (sessions.length === 0) {
+    console.warn('⚠️  No sessions - not archiving any forms');
+    return [];
+  }
+  
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const manifest = loadFormManifest(event);
+  const currentFormIds = {};
+  sessions.forEach(session => {
+    const entry = manifest[getSessionKey(session)];
+    if (entry) {
+      currentFormIds[entry.formId] = true;
+    }
+  });
+  currentFormIds[scriptProperties.getProperty(`eventform:${event.id}`)] = true;
+  
+  const sessionKeysByFormId = {};
+  Object.keys(manifest).forEach(key => {
+    sessionKeysByFormId[manifest[key].formId] = key;
+  });
+  
+  const archived = [];
+  
+  getExistingForms(folderId).filter(file => !currentFormIds[file.getId()]).forEach(file => {
+    try {
+      const form = FormApp.openById(file.getId());
+      const sessionKey = sessionKeysByFormId[file.getId()];
+      const entry = sessionKey ? manifest[sessionKey] : null;
+      
+      form.setCustomClosedFormMessage(fillEventText(event, CONFIG.archive.closedMessage));
+      form.setAcceptingResponses(false);
+      moveFileToFolder(file.getId(), getOrCreateSubfolder(folderId, CONFIG.archive.folderName), folderId);
+      
+      const record = {
+        formId: file.getId(),
+        formTitle: file.getName(),
+        sessionId: entry ? entry.sessionId : '',
+        sessionTitle: entry ? entry.title : '',
+        archivedAt: new Date().toISOString(),
+        responses: form.getResponses().length,
+        editUrl: form.getEditUrl(),
+        // Kept so the feedback workbook and reports still know the form's session
+        entry: entry
+      };
+      scriptProperties.setProperty(`archived:${event.id}:${sessionKey || `form:${file.getId()}`}`, JSON.stringify(record));
+      if (sessionKey) {
+        scriptProperties.deleteProperty(`form:${event.id}:${sessionKey}`);
+      }
+      
+      archived.push(record);
+      console.log(`📦 Archived: ${file.getName()} (${record.responses} responses kept)`);
+    } catch (error) {
+      console.error(`❌ Failed to archive form: ${file.getName()}`, error);
+    }
+  });
+  
+  return archived;
+}
+
+/**
+ * Archived form records by session key (form:<formId> for forms without a session)
+ */
+function loadArchivedForms(event) {
+  const properties = PropertiesService.getScriptProperties().getProperties();
+  const prefix = `archived:${event.id}:`;
+  const archived = {};
+  
+  Object.keys(properties).forEach(key => {
+    if (key.indexOf(prefix) === 0) {
+      try {
+        archived[key.substring(prefix.length)] = JSON.parse(properties[key]);
+      } catch (error) {
+        console.warn(`Warning: Ignoring unreadable archive record ${key}:`, error);
+      }
+    }
+  });
+  
+  return archived;
+}
+
+/**
+ * Move a session's archived form back into the forms folder. Returns a manifest-style
+ * entry for findFormForSession(), or null when the session has no archived form.
+ */
+function restoreArchivedForm(event, sessionKey, folderId) {
+  const record = loadArchivedForms(event)[sessionKey];
+  if (!record) {
+    return null;
+  }
+  
+  try {
+    moveFileToFolder(record.formId, folderId, getOrCreateSubfolder(folderId, CONFIG.archive.folderName));
+    PropertiesService.getScriptProperties().deleteProperty(`archived:${event.id}:${sessionKey}`);
+    console.log(`📤 Restored archived form: ${record.formTitle}`);
+    return { formId: record.formId };
+  } catch (error) {
+    console.warn(`Warning: Could not restore archived form for "${record.sessionTitle}":`, error);
+    return null;
+  }
+}
+
+/**
+ * Build a results row for a session and its form
+ */
+function buildSessionResult(session, form, status, changes, template) {
+  return {
+    sessionId: session.id || '',
+    sessionTitle: session.title,
+    speaker: session.speakers.map(s => s.name).join(', '),
+    room: session.room,
+    startTime: session.startsAt,
+    endTime: session.endsAt || '',
+    formUrl: form.getPublishedUrl(),
+    editUrl: form.getEditUrl(),
+    template: template,
+    status: status,
+    changes: changes.join('; ')
+  };
+}
+
+/**
+ * Manifest key for a session (Sessionize id, or title when the data has no id)
+ */
+function getSessionKey(session) {
+  return session.id ? String(session.id) : `title:${session.title}`;
+}
+
+/**
+ * Load the session-to-form manifest from Script Properties.
+ * Each session is stored under its own "form:<eventId>:<sessionKey>" property so the
+ * manifest stays under the per-property size limit.
+ */
+function loadFormManifest(event) {
+  const properties = PropertiesService.getScriptProperties().getProperties();
+  const manifest = {};
+  
+  const prefix = `form:${event.id}:`;
+  
+  Object.keys(properties).forEach(key => {
+    if (key.indexOf(prefix) === 0) {
+      try {
+        manifest[key.substring(prefix.length)] = JSON.parse(properties[key]);
+      } catch (error) {
+        console.warn(`Warning: Ignoring unreadable manifest entry ${key}:`, error);
+      }
+    }
+  });
+  
+  return manifest;
+}
+
+/**
+ * Record the form that belongs to a session in the manifest
+ */
+function saveFormManifestEntry(event, sessionKey, form, session, template) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const existing = scriptProperties.getProperty(`form:${event.id}:${sessionKey}`);
+  const raffleCode = (existing && JSON.parse(existing).raffleCode) || createRaffleCode();
+  
+  scriptProperties.setProperty(`form:${event.id}:${sessionKey}`, JSON.stringify({
+    formId: form.getId(),
+    formUrl: form.getPublishedUrl(),
+    template: template,
+    sessionId: session.id || '',
+    title: session.title,
+    speakers: session.speakers.map(s => ({ name: s.name })),
+    room: session.room,
+    startsAt: session.startsAt,
+    endsAt: session.endsAt || '',
+    raffleCode: raffleCode,
+    updatedAt: new Date().toISOString()
+  }));
+}
+
+/**
+ * Find the existing form for a session: first through the manifest, then by
+ * the expected title for forms created before the manifest existed
+ */
+function findFormForSession(event, session, manifestEntry, existingForms) {
+  if (manifestEntry) {
+    try {
+      const form = FormApp.openById(manifestEntry.formId);
+      if (!DriveApp.getFileById(manifestEntry.formId).isTrashed()) {
+        return form;
+      }
+    } catch (error) {
+      console.warn(`Warning: Form in manifest for "${session.title}" is no longer available, creating a new one`);
+    }
+    return null;
+  }
+  
+  const expectedFormTitle = buildFormTitle(event, session);
+  const legacyForm = existingForms.find(file => file.getName() === expectedFormTitle);
+  return legacyForm ? FormApp.openById(legacyForm.getId()) : null;
+}
+
+/**
+ * Bring an existing form's title and description in line with the current
+ * session data. Returns a list describing what changed.
+ */
+function syncFeedbackForm(event, form, session) {
+  const changes = getFormChanges(event, form, session);
+  
+  changes.forEach(change => {
+    if (change.field === 'title') {
+      form.setTitle(change.to);
+      DriveApp.getFileById(form.getId()).setName(change.to);
+    } else if (change.field === 'description') {
+      form.setDescription(change.to);
+    }
+  });
+  
+  return changes.map(change => change.summary);
+}
+
+/**
+ * Compare an existing form with the current session data without changing it
+ */
+function getFormChanges(event, form, session) {
+  const changes = [];
+  
+  const formTitle = buildFormTitle(event, session);
+  if (form.getTitle() !== formTitle) {
+    changes.push({
+      field: 'title',
+      from: form.getTitle(),
+      to: formTitle,
+      summary: `Title: "${form.getTitle()}" → "${formTitle}"`
+    });
+  }
+  
+  const description = buildFormDescription(event, session);
+  if (form.getDescription() !== description) {
+    changes.push({
+      field: 'description',
+      from: form.getDescription(),
+      to: description,
+      summary: describeDescriptionChange(form.getDescription(), description)
+    });
+  }
+  
+  return changes;
+}
+
+/**
+ * Summarize which description lines (Session, Speaker(s), Time, Room) changed
+ */
+function describeDescriptionChange(oldDescription, newDescription) {
+  const oldLines = oldDescription.split('\n');
+  const changed = newDescription.split('\n')
+    .filter(line => line && oldLines.indexOf(line) === -1)
+    .map(line => line.split(':')[0]);
+  
+  return changed.length > 0 ?
+    `Description updated (${changed.join(', ')})` : 'Description updated';
+}
+
+/**
+ * Fetch session data from Sessionize API (with fallback to the last saved snapshot)
+ */
+function fetchSessionData(event) {
+  return fetchSessionDataWithSource(event).sessions;
+}
+
+/**
+ * Same as fetchSessionData(), also reporting where the sessions came from
+ * ('API' or 'Fallback' when the saved snapshot was used). Pass { persist: false }
+ * to leave the saved snapshot as it is (dry runs).
+ */
+function fetchSessionDataWithSource(event, options) {
+  let sessions;
+  let source = 'API';
+  
+  try {
+    console.log(`📡 Attempting to fetch session data from: ${event.sessionizeApiUrl}`);
+    
+    const response = UrlFetchApp.fetch(event.sessionizeApiUrl, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json'
+      },
+      muteHttpExceptions: true
+    });
+    
+    if (response.getResponseCode() !== 200) {
+      throw new Error(`API request failed with status ${response.getResponseCode()}: ${response.getContentText()}`);
+    }
+    
+    const data = JSON.parse(response.getContentText());
+    sessions = parseSessionizeResponse(data);
+    console.log(`✓ Raw API response (${detectSessionizeShape(data)} format) contains ${sessions.length} total sessions`);
+    
+    if (!options || options.persist !== false) {
+      saveSessionSnapshot(event, sessions, 'Sessionize API');
+    }
+    
+  } catch (error) {
+    console.error('❌ Error fetching session data from API:', error);
+    console.log('🔄 Falling back to last saved session snapshot...');
+    sessions = loadSessionSnapshot(event);
+    source = 'Fallback';
+  }
+  
+  return { sessions: filterSessions(sessions), source: source };
+}
+
+/**
+ * Apply the CONFIG.sessionFilters rules (exclude service sessions, breaks, etc.)
+ */
+function filterSessions(sessions) {
+  const validSessions = [];
+  const excludedByRule = {};
+  
+  sessions.forEach(session => {
+    // Skip sessions excluded by the CONFIG.sessionFilters rules
+    const rule = findSessionFilterRule(session);
+    if (rule && rule.action === 'exclude') {
+      console.log(`⏭️  Excluded by rule "${rule.name}": ${session.title}`);
+      excludedByRule[rule.name] = (excludedByRule[rule.name] || 0) + 1;
+      return;
+    }
+    
+    validSessions.push(session);
+  });
+  
+  Object.entries(excludedByRule).forEach(([ruleName, count]) => {
+    console.log(`   Rule "${ruleName}" excluded ${count} sessions`);
+  });
+  console.log(`✓ Filtered to ${validSessions.length} valid sessions for feedback forms`);
+  return validSessions;
+}
+
+/**
+ * Save normalized sessions as the fallback snapshot, both as a JSON file in the
+ * forms folder and in Script Properties (split into chunks under the size limit)
+ */
+function saveSessionSnapshot(event, sessions, source) {
+  const snapshot = JSON.stringify({
+    savedAt: new Date().toISOString(),
+    source: source,
+    sessions: sessions
+  });
+  
+  try {
+    const folder = DriveApp.getFolderById(createFormsFolder(event));
+    const files = folder.getFilesByName(event.snapshotFileName);
+    
+    if (files.hasNext()) {
+      files.next().setContent(snapshot);
+    } else {
+      folder.createFile(event.snapshotFileName, snapshot, MimeType.PLAIN_TEXT);
+    }
+  } catch (error) {
+    console.warn('Warning: Could not save session snapshot to Drive:', error);
+  }
+  
+  try {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    clearPropertiesWithPrefix(`snapshot:${event.id}:`);
+    
+    const chunks = {};
+    let chunkCount = 0;
+    for (let i = 0; i < snapshot.length; i += CONFIG.sessionSnapshot.propertyChunkSize) {
+      chunks[`snapshot:${event.id}:chunk:${chunkCount++}`] = snapshot.substring(i, i + CONFIG.sessionSnapshot.propertyChunkSize);
+    }
+    chunks[`snapshot:${event.id}:chunks`] = String(chunkCount);
+    scriptProperties.setProperties(chunks);
+  } catch (error) {
+    console.warn('Warning: Could not save session snapshot to Script Properties:', error);
+  }
+  
+  console.log(`💾 Saved session snapshot (${sessions.length} sessions from ${source})`);
+}
+
+/**
+ * Load the last saved session snapshot (Drive file first, then Script Properties)
+ */
+function loadSessionSnapshot(event) {
+  let snapshot = null;
+  
+  try {
+    const folder = DriveApp.getFolderById(createFormsFolder(event));
+    const files = folder.getFilesByName(event.snapshotFileName);
+    if (files.hasNext()) {
+      snapshot = JSON.parse(files.next().getBlob().getDataAsString());
+    }
+  } catch (error) {
+    console.warn('Warning: Could not read session snapshot from Drive:', error);
+  }
+  
+  if (!snapshot) {
+    const properties = PropertiesService.getScriptProperties().getProperties();
+    const chunkCount = Number(properties[`snapshot:${event.id}:chunks`] || 0);
+    
+    if (chunkCount > 0) {
+      let json = '';
+      for (let i = 0; i < chunkCount; i++) {
+        json += properties[`snapshot:${event.id}:chunk:${i}`] || '';
+      }
+      snapshot = JSON.parse(json);
+    }
+  }
+  
+  if (!snapshot) {
+    throw new Error('No session snapshot available. Run createSessionFeedbackForms() while the Sessionize API is reachable, ' +
+      'or upload sessions.json to Drive and run importSessionSnapshotFromDrive().');
+  }
+  
+  console.log(`📋 Using session snapshot from ${snapshot.savedAt} (${snapshot.source}, ${snapshot.sessions.length} sessions)`);
+  return snapshot.sessions;
+}
+
+/**
+ * Import fallback session data from a JSON file in Drive (for example sessions.json
+ * from Download-SessionData.ps1) and save it as the session snapshot
+ */
+function importSessionSnapshotFromDrive(event, fileName) {
+  event = resolveEvent(event);
+  const name = fileName || CONFIG.sessionSnapshot.importFileName;
+  const files = DriveApp.getFilesByName(name);
+  
+  if (!files.hasNext()) {
+    throw new Error(`File not found in Drive: ${name}`);
+  }
+  
+  const data = JSON.parse(files.next().getBlob().getDataAsString());
+  const sessions = parseSessionizeResponse(data);
+  console.log(`✓ Read ${sessions.length} sessions (${detectSessionizeShape(data)} format) from ${name}`);
+  
+  saveSessionSnapshot(event, sessions, `Imported from ${name}`);
+  return sessions.length;
+}
+
+/**
+ * Delete every Script Property whose key starts with the given prefix
+ */
+function clearPropertiesWithPrefix(prefix) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  
+  Object.keys(scriptProperties.getProperties()).forEach(key => {
+    if (key.indexOf(prefix) === 0) {
+      scriptProperties.deleteProperty(key);
+    }
+  });
+}
+
+/**
+ * Normalize the session date formats we have seen to ISO local time (yyyy-MM-ddTHH:mm:ss):
+ * "2025-07-26T08:30:00", "2025-07-26 8:30:00", "07/26/2025 08:30:00", "7/26/2025, 8:30:00 AM".
+ * Values that already carry a UTC offset are left alone. Returns '' for a missing
+ * value and null for any other format.
+ */
+function normalizeSessionDate(value) {
+  if (!value) {
+    return '';
+  }
+  
+  const text = String(value).trim();
+  const pad = number => String(number).padStart(2, '0');
+  
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    return text;
+  }
+  
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (match) {
+    return `${match[1]}-${pad(match[2])}-${pad(match[3])}T${pad(match[4] || 0)}:${pad(match[5] || 0)}:${pad(match[6] || 0)}`;
+  }
+  
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4}),?(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?)?$/i);
+  if (match) {
+    let hours = Number(match[4] || 0);
+    if (match[7]) {
+      hours = hours % 12 + (match[7].toUpperCase() === 'PM' ? 12 : 0);
+    }
+    return `${match[3]}-${pad(match[1])}-${pad(match[2])}T${pad(hours)}:${pad(match[5] || 0)}:${pad(match[6] || 0)}`;
+  }
+  
+  console.warn(`Warning: Unrecognized session date format: ${text}`);
+  return null;
+}
+
+/**
+ * Turn a session time into a Date. Times without a UTC offset are local event
+ * times, so they are read in the event's timezone.
+ */
+function parseSessionTime(event, value) {
+  const text = normalizeSessionDate(value);
+  
+  if (!text) {
+    return null;
+  }
+  
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    return new Date(text);
+  }
+  
+  return Utilities.parseDate(text, event.timeZone, "yyyy-MM-dd'T'HH:mm:ss");
+}
+
+/**
+ * Format a session's time range in the event timezone,
+ * e.g. "Sat, Jul 26 · 8:30–9:30 AM CDT" or "Sat, Jul 26 · 11:20 AM–12:20 PM CDT"
+ */
+function formatSessionTimeRange(event, session) {
+  const tz = event.timeZone;
+  const start = parseSessionTime(event, session.startsAt);
+  const end = parseSessionTime(event, session.endsAt);
+  
+  const day = Utilities.formatDate(start, tz, 'EEE, MMM d');
+  const startTime = Utilities.formatDate(start, tz, 'h:mm');
+  const startPeriod = Utilities.formatDate(start, tz, 'a');
+  const zone = Utilities.formatDate(start, tz, 'z');
+  
+  if (!end) {
+    return `${day} · ${startTime} ${startPeriod} ${zone}`;
+  }
+  
+  const endTime = Utilities.formatDate(end, tz, 'h:mm');
+  const endPeriod = Utilities.formatDate(end, tz, 'a');
+  
+  if (Utilities.formatDate(end, tz, 'EEE, MMM d') !== day) {
+    return `${day} ${startTime} ${startPeriod} – ${Utilities.formatDate(end, tz, 'EEE, MMM d')} ${endTime} ${endPeriod} ${zone}`;
+  }
+  
+  return startPeriod === endPeriod ?
+    `${day} · ${startTime}–${endTime} ${endPeriod} ${zone}` :
+    `${day} · ${startTime} ${startPeriod}–${endTime} ${endPeriod} ${zone}`;
+}
+
+/**
+ * Format a date and time in the event timezone (for logs and summaries)
+ */
+function formatEventDateTime(event, date) {
+  return Utilities.formatDate(date, event.timeZone, 'EEE, MMM d, yyyy h:mm a z');
+}
+
+/**
+ * Convert a session time into a Date for a spreadsheet cell ('' when missing)
+ */
+function toSheetDate(event, value) {
+  return parseSessionTime(event, value) || '';
+}
+
+/**
+ * Work out which Sessionize response shape we received:
+ * - 'grouped': [{ groupId, groupName, sessions: [...] }] (Sessions view, sessions.json)
+ * - 'list': [session, ...] (an exported list of sessions, e.g. from Convert-SessionData-For-AppsScript.ps1)
+ * - 'all': { sessions, speakers, rooms, categories } with sessions referencing the others by id
+ * - 'flat': { sessions: [...] } with speakers, room and categories embedded
+ */
+function detectSessionizeShape(data) {
+  if (Array.isArray(data)) {
+    return data.length > 0 && data.every(group => Array.isArray(group.sessions)) ? 'grouped' : 'list';
+  }
+  
+  if (data && Array.isArray(data.sessions)) {
+    return Array.isArray(data.rooms) || Array.isArray(data.speakers) ? 'all' : 'flat';
+  }
+  
+  throw new Error('Unrecognized Sessionize response format');
+}
+
+/**
+ * Parse any supported Sessionize response into the same normalized session model
+ */
+function parseSessionizeResponse(data) {
+  const shape = detectSessionizeShape(data);
+  
+  let rawSessions;
+  let lookups = { speakers: {}, rooms: {}, categoryItems: {} };
+  
+  if (shape === 'grouped') {
+    rawSessions = [];
+    data.forEach(group => {
+      rawSessions.push(...(group.sessions || []));
+    });
+  } else if (shape === 'list') {
+    rawSessions = data;
+  } else {
+    rawSessions = data.sessions;
+  }
+  
+  if (shape === 'all') {
+    lookups = buildSessionizeLookups(data);
+  }
+  
+  // The same session can be listed under more than one group
+  const seen = {};
+  const sessions = [];
+  rawSessions.forEach(rawSession => {
+    const key = rawSession.id ? String(rawSession.id) : `title:${rawSession.title}`;
+    if (!seen[key]) {
+      seen[key] = true;
+      sessions.push(normalizeSession(rawSession, lookups));
+    }
+  });
+  
+  return sessions;
+}
+
+/**
+ * Index the speakers, rooms and category items of an "All" response by id
+ */
+function buildSessionizeLookups(data) {
+  const lookups = { speakers: {}, rooms: {}, categoryItems: {} };
+  
+  (data.speakers || []).forEach(speaker => {
+    lookups.speakers[String(speaker.id)] = speaker;
+  });
+  
+  (data.rooms || []).forEach(room => {
+    lookups.rooms[String(room.id)] = room.name;
+  });
+  
+  (data.categories || []).forEach(category => {
+    (category.items || []).forEach(item => {
+      lookups.categoryItems[String(item.id)] = { category: category.title, name: item.name };
+    });
+  });
+  
+  return lookups;
+}
+
+/**
+ * Convert one raw Sessionize session into the session model used everywhere else:
+ * { id, title, speakers: [{ id, name }], room, roomId, startsAt, endsAt, description,
+ *   categories: { categoryName: [values] }, isServiceSession, isPlenumSession, status }
+ */
+function normalizeSession(rawSession, lookups) {
+  const speakers = (rawSession.speakers || []).map(speaker => {
+    if (typeof speaker === 'object') {
+      return { id: speaker.id, name: speaker.name };
+    }
+    
+    const profile = lookups.speakers[String(speaker)];
+    return profile ? Object.assign({ id: speaker }, normalizeSpeakerProfile(profile)) : { id: speaker, name: String(speaker) };
+  });
+  
+  let categories = getSessionCategories(rawSession);
+  if (!rawSession.categories && rawSession.categoryItems) {
+    categories = {};
+    rawSession.categoryItems.forEach(itemId => {
+      const item = lookups.categoryItems[String(itemId)];
+      if (item) {
+        categories[item.category] = (categories[item.category] || []).concat(item.name);
+      }
+    });
+  }
+  
+  return {
+    id: rawSession.id,
+    title: rawSession.title,
+    speakers: speakers,
+    room: rawSession.room || lookups.rooms[String(rawSession.roomId)] || '',
+    roomId: rawSession.roomId,
+    startsAt: normalizeSessionDate(rawSession.startsAt) || '',
+    endsAt: normalizeSessionDate(rawSession.endsAt) || '',
+    description: rawSession.description,
+    categories: categories,
+    isServiceSession: rawSession.isServiceSession === true,
+    isPlenumSession: rawSession.isPlenumSession === true,
+    // Public Sessionize views only publish accepted sessions unless told otherwise
+    status: rawSession.status || 'Accepted'
+  };
+}
+
+/**
+ * Map Sessionize categories to { categoryName: [item names] }
+ */
+function getSessionCategories(rawSession) {
+  const categories = {};
+  
+  // Already normalized (e.g. loaded back from a snapshot or an exported list)
+  if (rawSession.categories && !Array.isArray(rawSession.categories)) {
+    return Object.assign(categories, rawSession.categories);
+  }
+  
+  (rawSession.categories || []).forEach(category => {
+    categories[category.name] = (category.categoryItems || []).map(item => item.name);
+  });
+  
+  return categories;
+}
+
+/**
+ * Find the first CONFIG.sessionFilters rule that matches a session
+ * (null when no rule matches and the default action applies)
+ */
+function findSessionFilterRule(session) {
+  const rule = CONFIG.sessionFilters.rules.find(r => matchesSessionRule(session, r));
+  
+  if (rule) {
+    return rule;
+  }
+  
+  return CONFIG.sessionFilters.defaultAction === 'exclude' ?
+    { name: 'Default (no rule matched)', action: 'exclude' } : null;
+}
+
+/**
+ * Check whether a session meets every condition of a filter rule.
+ * Rules with `negate: true` match when the conditions are NOT all met.
+ */
+function matchesSessionRule(session, rule) {
+  const conditions = [];
+  
+  if (rule.isServiceSession !== undefined) {
+    conditions.push(session.isServiceSession === rule.isServiceSession);
+  }
+  
+  if (rule.isPlenumSession !== undefined) {
+    conditions.push(session.isPlenumSession === rule.isPlenumSession);
+  }
+  
+  if (rule.status) {
+    conditions.push(rule.status.indexOf(session.status) !== -1);
+  }
+  
+  if (rule.rooms) {
+    conditions.push(rule.rooms.indexOf(session.room) !== -1);
+  }
+  
+  if (rule.titlePattern) {
+    conditions.push(new RegExp(rule.titlePattern, 'i').test(session.title));
+  }
+  
+  if (rule.categories) {
+    Object.entries(rule.categories).forEach(([categoryName, values]) => {
+      const sessionValues = (session.categories || {})[categoryName] || [];
+      conditions.push(sessionValues.some(value => values.indexOf(value) !== -1));
+    });
+  }
+  
+  const matched = conditions.length > 0 && conditions.every(condition => condition);
+  return rule.negate ? !matched : matched;
+}
+
+/**
+ * Create a feedback form for a single session. branding holds the banner and photos
+ * shared by a batch of forms (loaded here when it is not passed).
+ */
+function createFeedbackForm(event, session, folderId, branding) {
+  // Create the form
+  const form = FormApp.create(buildFormTitle(event, session));
+  
+  // Move to designated folder
+  moveFileToFolder(form.getId(), folderId);
+  
+  // Set description
+  form.setDescription(buildFormDescription(event, session));
+  
+  // Banner, speaker bios and abstract above the questions
+  if (CONFIG.formBranding.enabled) {
+    addFormHeaderItems(form, session, branding || loadFormBranding());
+  }
+  
+  // Questions come from the session's template (precon, lightning, ...)
+  const questions = findQuestionTemplate(session).questions.slice();
+  
+  // Co-presenters are rated one by one after the session ratings
+  const speakerQuestions = getSpeakerRatingQuestions(session);
+  const firstOther = questions.findIndex(q => q.type !== 'rating');
+  questions.splice(firstOther === -1 ? questions.length : firstOther, 0, ...speakerQuestions);
+  
+  addQuestionItems(form, questions, true);
+  
+  // Set form settings
+  form.setCollectEmail(false);
+  form.setLimitOneResponsePerUser(false);
+  form.setShowLinkToRespondAgain(false);
+  applyFormSchedule(event, form, session, new Date());
+  
+  return form;
+}
+
+/**
+ * Form title for a session
+ */
+function buildFormTitle(event, session) {
+  return `${event.label} - ${session.title} - Feedback`;
+}
+
+/**
+ * Form description for a session
+ */
+function buildFormDescription(event, session) {
+  const speakerNames = session.speakers.map(s => s.name).join(', ');
+  const sessionTime = session.startsAt ? formatSessionTimeRange(event, session) : 'TBD';
+  
+  return `Session: ${session.title}\n` +
+    `Speaker(s): ${speakerNames}\n` +
+    `Time: ${sessionTime}\n` +
+    `Room: ${session.room}\n\n` +
+    `Your feedback helps speakers improve and helps us plan better events!\n` +
+    `Please rate the session and provide your thoughts.`;
+}
+
+/**
+ * The question template for a session: the one recorded for its form when known,
+ * otherwise the first matching CONFIG.questionTemplates rule, otherwise the default
+ */
+function findQuestionTemplate(session) {
+  if (session.template) {
+    return getQuestionTemplate(session.template);
+  }
+  
+  const rule = CONFIG.questionTemplates.rules.find(r => matchesSessionRule(session, r));
+  return getQuestionTemplate(rule ? rule.template : CONFIG.questionTemplates.defaultTemplate);
+}
+
+/**
+ * A named question template with the standard questions filled in where it has none
+ */
+function getQuestionTemplate(name) {
+  const template = CONFIG.questionTemplates.templates[name];
+  if (!template) {
+    throw new Error(`Unknown question template "${name}" - add it to CONFIG.questionTemplates.templates`);
+  }
+  
+  const questions = template.questions || CONFIG.questions;
+  
+  return {
+    name: name,
+    questions: questions,
+    ratingQuestions: questions.filter(q => q.type === 'rating').map(q => q.title),
+    textQuestions: questions.filter(q => q.type === 'text' || q.type === 'paragraph'),
+    answerQuestions: questions.filter(q => ['scale', 'multipleChoice', 'list', 'checkbox', 'grid'].indexOf(q.type) !== -1)
+      .map(q => q.title)
+  };
+}
+
+/**
+ * One grid question per speaker for co-presented sessions (none for a single speaker)
+ */
+function getSpeakerRatingQuestions(session) {
+  if (!CONFIG.speakerRatings.enabled || session.speakers.length < 2) {
+    return [];
+  }
+  
+  return session.speakers.map(speaker => ({
+    type: 'grid',
+    title: getSpeakerRatingTitle(speaker.name),
+    helpText: CONFIG.speakerRatings.helpText,
+    rows: CONFIG.speakerRatings.rows,
+    columns: CONFIG.speakerRatings.columns
+  }));
+}
+
+/**
+ * Title of a speaker's grid question
+ */
+function getSpeakerRatingTitle(speakerName) {
+  return CONFIG.speakerRatings.title.replace(/\{speaker\}/g, speakerName);
+}
+
+/**
+ * Every rating question used by any template, in template order (for reporting)
+ */
+function getAllRatingQuestions() {
+  const questions = [];
+  Object.keys(CONFIG.questionTemplates.templates).forEach(name => {
+    getQuestionTemplate(name).ratingQuestions.forEach(question => {
+      if (questions.indexOf(question) === -1) {
+        questions.push(question);
+      }
+    });
+  });
+  return questions;
+}
+
+/**
+ * Every text question used by any template, in template order (for reporting)
+ */
+function getAllTextQuestions() {
+  const questions = [];
+  Object.keys(CONFIG.questionTemplates.templates).forEach(name => {
+    getQuestionTemplate(name).textQuestions.forEach(question => {
+      if (!questions.some(q => q.title === question.title)) {
+        questions.push(question);
+      }
+    });
+  });
+  return questions;
+}
+
+/**
+ * Every other question (scales, choices, grids) used by any template (for reporting)
+ */
+function getAllAnswerQuestions() {
+  const questions = [];
+  Object.keys(CONFIG.questionTemplates.templates).forEach(name => {
+    getQuestionTemplate(name).answerQuestions.forEach(question => {
+      if (questions.indexOf(question) === -1) {
+        questions.push(question);
+      }
+    });
+  });
+  return questions;
+}
+
+/**
+ * Add items to a form from a list of question definitions (see CONFIG.questions).
+ * Navigation is wired up after all items exist, since goTo can point to a later section.
+ * Without branching, goTo is ignored.
+ */
+function addQuestionItems(form, questions, branching) {
+  const sections = {};
+  const navigation = [];
+  let previousSection = null;
+  
+  const resolveTarget = target => {
+    if (target === 'submit') {
+      return FormApp.PageNavigationType.SUBMIT;
+    }
+    return target === 'continue' || !target ? FormApp.PageNavigationType.CONTINUE : sections[target];
+  };
+  
+  questions.forEach(question => {
+    if (question.type === 'section') {
+      const page = form.addPageBreakItem().setTitle(question.title || '');
+      if (question.helpText) {
+        page.setHelpText(question.helpText);
+      }
+      
+      // A page break's navigation applies when the section before it is finished
+      const finished = previousSection;
+      if (branching && finished && finished.goTo) {
+        navigation.push(() => page.setGoToPage(resolveTarget(finished.goTo)));
+      }
+      
+      sections[question.id] = page;
+      previousSection = question;
+      return;
+    }
+    
+    const item = addQuestionItem(form, question);
+    if (branching && question.goTo) {
+      navigation.push(() => item.setChoices(question.choices.map(choice =>
+        item.createChoice(choice, resolveTarget(question.goTo[choice])))));
+    }
+  });
+  
+  navigation.forEach(apply => apply());
+}
+
+/**
+ * Add one question item to a form
+ */
+function addQuestionItem(form, question) {
+  let item;
+  
+  switch (question.type) {
+    case 'rating':
+      item = form.addScaleItem()
+        .setBounds(1, 5)
+        .setLabels(question.lowLabel || 'Poor', question.highLabel || 'Excellent');
+      break;
+      
+    case 'scale':
+      item = form.addScaleItem().setBounds(question.low, question.high);
+      if (question.lowLabel || question.highLabel) {
+        item.setLabels(question.lowLabel || '', question.highLabel || '');
+      }
+      break;
+      
+    case 'text':
+      item = form.addTextItem();
+      if (question.validation) {
+        item.setValidation(buildTextValidation(FormApp.createTextValidation(), question.validation));
+      }
+      break;
+      
+    case 'paragraph':
+      item = form.addParagraphTextItem();
+      if (question.validation) {
+        item.setValidation(buildTextValidation(FormApp.createParagraphTextValidation(), question.validation));
+      }
+      break;
+      
+    case 'multipleChoice':
+      item = form.addMultipleChoiceItem().setChoiceValues(question.choices);
+      if (question.other) {
+        item.showOtherOption(true);
+      }
+      break;
+      
+    case 'list':
+      item = form.addListItem().setChoiceValues(question.choices);
+      break;
+      
+    case 'checkbox':
+      item = form.addCheckboxItem().setChoiceValues(question.choices);
+      if (question.other) {
+        item.showOtherOption(true);
+      }
+      if (question.validation) {
+        const builder = FormApp.createCheckboxValidation();
+        if (question.validation.type === 'minSelections') {
+          builder.requireSelectAtLeast(question.validation.value);
+        } else {
+          builder.requireSelectAtMost(question.validation.value);
+        }
+        if (question.validation.helpText) {
+          builder.setHelpText(question.validation.helpText);
+        }
+        item.setValidation(builder.build());
+      }
+      break;
+      
+    case 'grid':
+      item = form.addGridItem().setRows(question.rows).setColumns(question.columns);
+      break;
+  }
+  
+  item.setTitle(question.title);
+  if (question.helpText) {
+    item.setHelpText(question.helpText);
+  }
+  item.setRequired(question.required !== undefined ? question.required : question.type === 'rating');
+  
+  return item;
+}
+
+/**
+ * Apply a text or paragraph validation rule to a validation builder
+ */
+function buildTextValidation(builder, validation) {
+  switch (validation.type) {
+    case 'email':
+      builder.requireTextIsEmail();
+      break;
+    case 'url':
+      builder.requireTextIsUrl();
+      break;
+    case 'number':
+      builder.requireNumber();
+      break;
+    case 'pattern':
+      builder.requireTextMatchesPattern(validation.value);
+      break;
+    case 'maxLength':
+      builder.requireTextLengthLessThanOrEqualTo(validation.value);
+      break;
+    case 'minLength':
+      builder.requireTextLengthGreaterThanOrEqualTo(validation.value);
+      break;
+  }
+  
+  if (validation.helpText) {
+    builder.setHelpText(validation.helpText);
+  }
+  return builder.build();
+}
+
+/**
+ * Throw one error listing every question schema mistake, so nothing is built
+ * from a broken configuration
+ */
+function assertValidQuestionSchema() {
+  const errors = validateQuestionSchema();
+  
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`❌ ${error}`));
+    throw new Error(`Question configuration has ${errors.length} problem(s):\n${errors.join('\n')}`);
+  }
+}
+
+/**
+ * Check CONFIG.questions, every question template and the template rules.
+ * Returns a list of problems (empty when the configuration is valid).
+ */
+function validateQuestionSchema() {
+  const errors = [];
+  const templates = CONFIG.questionTemplates.templates;
+  
+  if (!templates[CONFIG.questionTemplates.defaultTemplate]) {
+    errors.push(`Default template "${CONFIG.questionTemplates.defaultTemplate}" is not defined`);
+  }
+  
+  CONFIG.questionTemplates.rules.forEach(rule => {
+    if (!templates[rule.template]) {
+      errors.push(`Template rule "${rule.name || rule.template}" uses undefined template "${rule.template}"`);
+    }
+  });
+  
+  if (!Array.isArray(CONFIG.questions) || CONFIG.questions.length === 0) {
+    errors.push('CONFIG.questions must be a non-empty list');
+  } else {
+    errors.push(...validateQuestionList('CONFIG.questions', CONFIG.questions));
+  }
+  
+  Object.keys(templates).forEach(name => {
+    if (templates[name].questions !== undefined) {
+      if (!Array.isArray(templates[name].questions) || templates[name].questions.length === 0) {
+        errors.push(`Template "${name}": questions must be a non-empty list`);
+      } else {
+        errors.push(...validateQuestionList(`Template "${name}"`, templates[name].questions));
+      }
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Check one list of question definitions
+ */
+function validateQuestionList(listName, questions) {
+  const errors = [];
+  const allowedProperties = {
+    rating: ['lowLabel', 'highLabel'],
+    scale: ['low', 'high', 'lowLabel', 'highLabel'],
+    text: ['validation'],
+    paragraph: ['validation'],
+    multipleChoice: ['choices', 'other', 'goTo'],
+    list: ['choices', 'goTo'],
+    checkbox: ['choices', 'other', 'validation'],
+    grid: ['rows', 'columns'],
+    section: ['id', 'goTo']
+  };
+  const validationTypes = {
+    text: ['email', 'url', 'number', 'pattern', 'maxLength', 'minLength'],
+    paragraph: ['maxLength', 'minLength'],
+    checkbox: ['minSelections', 'maxSelections']
+  };
+  const isNonEmptyTextList = list => Array.isArray(list) && list.length > 0 &&
+    list.every(value => typeof value === 'string' && value.trim() !== '');
+    
+  const sectionIds = questions.filter(q => q && q.type === 'section').map(q => q.id);
+  const isTarget = target => target === 'submit' || target === 'continue' || sectionIds.indexOf(target) !== -1;
+  const titles = {};
+  
+  questions.forEach((question, index) => {
+    const where = `${listName}, question ${index + 1}${question && question.title ? ` ("${question.title}")` : ''}`;
+    
+    if (!question || !allowedProperties[question.type]) {
+      errors.push(`${where}: unknown type "${question && question.type}" - use one of ${Object.keys(allowedProperties).join(', ')}`);
+      return;
+    }
+    
+    const allowed = ['type', 'title', 'helpText', 'required'].concat(allowedProperties[question.type]);
+    Object.keys(question).filter(key => allowed.indexOf(key) === -1).forEach(key => {
+      errors.push(`${where}: "${key}" is not a ${question.type} property`);
+    });
+    
+    if (question.required !== undefined && typeof question.required !== 'boolean') {
+      errors.push(`${where}: required must be true or false`);
+    }
+    
+    if (question.type === 'section') {
+      if (typeof question.id !== 'string' || !question.id) {
+        errors.push(`${where}: sections need an id`);
+      } else if (sectionIds.indexOf(question.id) !== sectionIds.lastIndexOf(question.id)) {
+        errors.push(`${where}: section id "${question.id}" is used more than once`);
+      }
+      if (question.goTo !== undefined) {
+        if (!isTarget(question.goTo)) {
+          errors.push(`${where}: goTo "${question.goTo}" is not 'submit', 'continue' or a section id`);
+        } else if (sectionIds[sectionIds.length - 1] === question.id && question.goTo !== 'submit') {
+          errors.push(`${where}: the last section always ends the form, so its goTo can only be 'submit'`);
+        }
+      }
+      return;
+    }
+    
+    // Responses are matched to questions by title
+    if (typeof question.title !== 'string' || question.title.trim() === '') {
+      errors.push(`${where}: title is required`);
+    } else if (titles[question.title]) {
+      errors.push(`${where}: another question already has this title`);
+    } else {
+      titles[question.title] = true;
+    }
+    
+    if (question.type === 'scale') {
+      if (question.low !== 0 && question.low !== 1) {
+        errors.push(`${where}: low must be 0 or 1`);
+      }
+      if (!Number.isInteger(question.high) || question.high < 3 || question.high > 10) {
+        errors.push(`${where}: high must be a whole number from 3 to 10`);
+      }
+    }
+    
+    if (['multipleChoice', 'list', 'checkbox'].indexOf(question.type) !== -1) {
+      if (!isNonEmptyTextList(question.choices)) {
+        errors.push(`${where}: choices must be a non-empty list of text`);
+      } else if (new Set(question.choices).size !== question.choices.length) {
+        errors.push(`${where}: choices must be unique`);
+      }
+    }
+    
+    if (question.other !== undefined && typeof question.other !== 'boolean') {
+      errors.push(`${where}: other must be true or false`);
+    }
+    
+    if (question.type === 'grid') {
+      if (!isNonEmptyTextList(question.rows)) {
+        errors.push(`${where}: rows must be a non-empty list of text`);
+      }
+      if (!isNonEmptyTextList(question.columns)) {
+        errors.push(`${where}: columns must be a non-empty list of text`);
+      }
+    }
+    
+    if (question.goTo !== undefined) {
+      if (typeof question.goTo !== 'object' || question.goTo === null) {
+        errors.push(`${where}: goTo must map choices to 'submit', 'continue' or a section id`);
+      } else {
+        Object.keys(question.goTo).forEach(choice => {
+          if ((question.choices || []).indexOf(choice) === -1) {
+            errors.push(`${where}: goTo choice "${choice}" is not one of the choices`);
+          }
+          if (!isTarget(question.goTo[choice])) {
+            errors.push(`${where}: goTo "${question.goTo[choice]}" for "${choice}" is not 'submit', 'continue' or a section id`);
+          }
+        });
+      }
+    }
+    
+    // Other types already got an unknown-property error above
+    if (question.validation !== undefined && validationTypes[question.type]) {
+      const validation = question.validation || {};
+      if (validationTypes[question.type].indexOf(validation.type) === -1) {
+        errors.push(`${where}: validation type must be one of ${validationTypes[question.type].join(', ')}`);
+      } else if (validation.type === 'pattern') {
+        try {
+          new RegExp(validation.value);
+        } catch (error) {
+          errors.push(`${where}: validation pattern is not a valid regular expression`);
+        }
+      } else if (['email', 'url', 'number'].indexOf(validation.type) === -1 &&
+        (!Number.isInteger(validation.value) || validation.value < 0)) {
+        errors.push(`${where}: ${validation.type} validation needs a whole number value`);
+      }
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Alternative to createSessionFeedbackForms(): build one form for the whole event.
+ * Attendees pick a timeslot, then a session, rate it, and can go on to rate more
+ * sessions in the same response. Rerunning rebuilds the form from the current
+ * sessions until it has responses; after that it is left unchanged.
+ */
+function createEventFeedbackForm(event) {
+  event = resolveEvent(event);
+  
+  try {
+    console.log(`🚀 Building ${event.label} event-wide feedback form...`);
+    assertValidQuestionSchema();
+    
+    const sessions = fetchSessionData(event);
+    console.log(`✓ Fetched ${sessions.length} valid sessions from Sessionize API`);
+    
+    const folderId = createFormsFolder(event);
+    let form = getEventFeedbackForm(event);
+    
+    if (form && form.getResponses().length > 0) {
+      console.warn(`⚠️  ${event.eventFormName} already has responses - leaving it unchanged`);
+      return {
+        success: true,
+        rebuilt: false,
+        formUrl: form.getPublishedUrl(),
+        editUrl: form.getEditUrl()
+      };
+    }
+    
+    if (form) {
+      console.log('🔄 Rebuilding existing form (no responses yet)');
+      form.getItems().forEach(item => form.deleteItem(item));
+    } else {
+      form = FormApp.create(event.eventFormName);
+      moveFileToFolder(form.getId(), folderId);
+      PropertiesService.getScriptProperties().setProperty(`eventform:${event.id}`, form.getId());
+    }
+    
+    const timeslots = groupSessionsByTimeslot(event, sessions);
+    buildEventFeedbackForm(event, form, timeslots);
+    
+    console.log(`\n🎉 Event feedback form ready: ${timeslots.length} timeslots, ${sessions.length} sessions`);
+    console.log(`📋 Form URL: ${form.getPublishedUrl()}`);
+    
+    return {
+      success: true,
+      rebuilt: true,
+      totalSessions: sessions.length,
+      totalTimeslots: timeslots.length,
+      formUrl: form.getPublishedUrl(),
+      editUrl: form.getEditUrl()
+    };
+    
+  } catch (error) {
+    console.error('💥 Fatal error in event form generation:', error);
+    throw error;
+  }
+}
+
+/**
+ * The event-wide form, or null when it has not been created (or was deleted)
+ */
+function getEventFeedbackForm(event) {
+  const formId = PropertiesService.getScriptProperties().getProperty(`eventform:${event.id}`);
+  if (!formId) {
+    return null;
+  }
+  
+  try {
+    return DriveApp.getFileById(formId).isTrashed() ? null : FormApp.openById(formId);
+  } catch (error) {
+    console.warn('Warning: Event feedback form is no longer available, creating a new one');
+    return null;
+  }
+}
+
+/**
+ * Group sessions by start time, in time order
+ */
+function groupSessionsByTimeslot(event, sessions) {
+  const timeslots = {};
+  
+  sessions.forEach(session => {
+    const key = normalizeSessionDate(session.startsAt) || 'TBD';
+    if (!timeslots[key]) {
+      timeslots[key] = {
+        label: key === 'TBD' ? 'Time TBD' : formatSessionTimeRange(event, { startsAt: session.startsAt }),
+        sessions: []
+      };
+    }
+    timeslots[key].sessions.push(session);
+  });
+  
+  return Object.keys(timeslots).sort().map(key => timeslots[key]);
+}
+
+/**
+ * Add the picker and rating pages to the event-wide form.
+ * Each rated session gets a block of pages: timeslot question, one page per
+ * timeslot with its session question, then the rating questions and (except in
+ * the last block) a question that leads to the next block or submits the form.
+ */
+function buildEventFeedbackForm(event, form, timeslots) {
+  const blockCount = CONFIG.eventForm.maxSessionsPerResponse;
+  const template = getQuestionTemplate(CONFIG.questionTemplates.defaultTemplate);
+  const firstSection = template.questions.findIndex(question => question.type === 'section');
+  const questionsBeforeSections = firstSection === -1 ? template.questions : template.questions.slice(0, firstSection);
+  
+  form.setDescription(
+    `Share your feedback on the ${event.displayName} sessions you attended!\n` +
+    `Pick when the session was, then the session, and rate it. ` +
+    `You can rate up to ${blockCount} sessions in one response.`);
+    
+  let nextBlockPage = null;
+  
+  for (let block = 0; block < blockCount; block++) {
+    const blockPage = block > 0 ? form.addPageBreakItem().setTitle(`Session ${block + 1}`) : null;
+    if (blockPage) {
+      nextBlockPage.setChoices([
+        nextBlockPage.createChoice('Yes', blockPage),
+        nextBlockPage.createChoice('No', FormApp.PageNavigationType.SUBMIT)
+      ]);
+    }
+    
+    const timeslotItem = form.addMultipleChoiceItem()
+      .setTitle(CONFIG.eventForm.timeslotQuestion)
+      .setRequired(true);
+      
+    // One page per timeslot with that timeslot's sessions
+    const sessionItems = timeslots.map(timeslot => {
+      const page = form.addPageBreakItem().setTitle(timeslot.label);
+      const item = form.addMultipleChoiceItem()
+        .setTitle(CONFIG.eventForm.sessionQuestion)
+        .setRequired(true);
+      return { page: page, item: item, sessions: timeslot.sessions };
+    });
+    
+    const ratingsPage = form.addPageBreakItem().setTitle('Your feedback');
+    
+    timeslotItem.setChoices(timeslots.map((timeslot, index) =>
+      timeslotItem.createChoice(timeslot.label, sessionItems[index].page)));
+    sessionItems.forEach(({ item, sessions }) => {
+      item.setChoices(sessions.map(session => item.createChoice(buildSessionChoice(session), ratingsPage)));
+    });
+    
+    // Every session is rated with the default template. Its sections (and the questions
+    // in them, which only some answers lead to) and branching are left out because the
+    // block's own navigation leads to the next block.
+    addQuestionItems(form, questionsBeforeSections, false);
+    
+    if (block < blockCount - 1) {
+      nextBlockPage = form.addMultipleChoiceItem()
+        .setTitle(CONFIG.eventForm.anotherSessionQuestion)
+        .setRequired(true);
+    }
+  }
+  
+  form.setCollectEmail(false);
+  form.setLimitOneResponsePerUser(false);
+  form.setShowLinkToRespondAgain(true);
+}
+
+/**
+ * Session picker choice, e.g. "Query Tuning 101 (Jane Doe · Room 101)"
+ */
+function buildSessionChoice(session) {
+  const details = [session.speakers.map(s => s.name).join(', '), session.room].filter(d => d);
+  return details.length > 0 ? `${session.title} (${details.join(' · ')})` : session.title;
+}
+
+/**
+ * Split the event-wide form's responses into one record per rated session, in
+ * the same shape as collectFeedbackResponses() so rollups and speaker reports
+ * work the same in both modes. Each session is reported as its own "form" with
+ * the id "<formId>:<sessionKey>".
+ */
+function readEventFormResponses(event, form) {
+  const formId = form.getId();
+  const sessionsByChoice = {};
+  const forms = {};
+  
+  fetchSessionData(event).forEach(rawSession => {
+    const session = Object.assign({}, rawSession, { template: CONFIG.questionTemplates.defaultTemplate });
+    sessionsByChoice[buildSessionChoice(session)] = session;
+    forms[getSessionKey(session)] = { formId: `${formId}:${getSessionKey(session)}`, session: session };
+  });
+  
+  // Each timeslot question starts a new block of pages
+  const blockByItemId = {};
+  let block = -1;
+  form.getItems().forEach(item => {
+    if (item.getType() === FormApp.ItemType.MULTIPLE_CHOICE && item.getTitle() === CONFIG.eventForm.timeslotQuestion) {
+      block++;
+    }
+    blockByItemId[item.getId()] = block;
+  });
+  
+  const responses = [];
+  
+  form.getResponses().forEach(response => {
+    const answersByBlock = {};
+    response.getItemResponses().forEach(itemResponse => {
+      const itemBlock = blockByItemId[itemResponse.getItem().getId()];
+      answersByBlock[itemBlock] = answersByBlock[itemBlock] || {};
+      answersByBlock[itemBlock][itemResponse.getItem().getTitle()] = itemResponse.getResponse();
+    });
+    
+    Object.keys(answersByBlock).forEach(key => {
+      const answers = answersByBlock[key];
+      const choice = answers[CONFIG.eventForm.sessionQuestion];
+      if (!choice) {
+        return;
+      }
+      
+      // Sessions renamed or removed since the form was built keep their choice text as title
+      const session = sessionsByChoice[choice] ||
+        { title: choice, speakers: [], room: '', startsAt: '', template: CONFIG.questionTemplates.defaultTemplate };
+      const sessionKey = getSessionKey(session);
+      if (!forms[sessionKey]) {
+        forms[sessionKey] = { formId: `${formId}:${sessionKey}`, session: session };
+      }
+      
+      responses.push(buildResponseRecord(forms[sessionKey].formId, response, session, answers));
+    });
+  });
+  
+  return { forms: Object.values(forms), responses: responses };
+}
+
+/**
+ * Create or find the forms folder in Google Drive
+ */
+function createFormsFolder(event) {
+  return findFormsFolder(event) || DriveApp.createFolder(event.folderName).getId();
+}
+
+/**
+ * Id of the forms folder, or null when it does not exist yet
+ */
+function findFormsFolder(event) {
+  const folders = DriveApp.getFoldersByName(event.folderName);
+  return folders.hasNext() ? folders.next().getId() : null;
+}
+
+/**
+ * Create or find a subfolder inside the given folder
+ */
+function getOrCreateSubfolder(parentFolderId, name) {
+  const parent = DriveApp.getFolderById(parentFolderId);
+  const folders = parent.getFoldersByName(name);
+  
+  if (folders.hasNext()) {
+    return folders.next().getId();
+  } else {
+    return parent.createFolder(name).getId();
+  }
+}
+
+/**
+ * Move a Drive file into the given folder, out of the root folder or fromFolderId
+ */
+function moveFileToFolder(fileId, folderId, fromFolderId) {
+  const file = DriveApp.getFileById(fileId);
+  DriveApp.getFolderById(folderId).addFile(file);
+  (fromFolderId ? DriveApp.getFolderById(fromFolderId) : DriveApp.getRootFolder()).removeFile(file);
+}
+
+/**
+ * Get list of existing forms in the folder to avoid duplicates
+ */
+function getExistingForms(folderId) {
+  try {
+    const folder = DriveApp.getFolderById(folderId);
+    const files = folder.getFilesByType(MimeType.GOOGLE_FORMS);
+    const forms = [];
+    
+    while (files.hasNext()) {
+      forms.push(files.next());
+    }
+    
+    return forms;
+  } catch (error) {
+    console.warn('Warning: Could not get existing forms, proceeding anyway:', error);
+    return [];
+  }
+}
+
+/**
+ * Export results to the form links spreadsheet. The same spreadsheet is reused on
+ * every run: the "Form Links" and "Summary" tabs are replaced and a row is added
+ * to "Run History".
+ */
+function exportResultsToSheet(event, results, run) {
+  const sheet = getOrCreateSpreadsheet(event, event.spreadsheetName);
+  
+  // Form links - one row per session
+  const headers = ['Session ID', 'Session Title', 'Speaker(s)', 'Room', 'Start Time', 'End Time', 'Form URL', 'Edit URL', 'Template', 'Status', 'Changes'];
+  const data = results.map(r => [
+    r.sessionId,
+    r.sessionTitle,
+    r.speaker,
+    r.room,
+    toSheetDate(event, r.startTime),
+    toSheetDate(event, r.endTime),
+    r.formUrl,
+    r.editUrl,
+    r.template,
+    r.status,
+    r.changes
+  ]);
+  
+  const worksheet = writeTableToSheet(sheet, 'Form Links', headers, data);
+  if (data.length > 0) {
+    worksheet.getRange(2, 5, data.length, 2).setNumberFormat(CONFIG.sheetDateFormat);
+  }
+  
+  // Summary of this run
+  const counts = countResultStatuses(results);
+  const summarySheet = sheet.getSheetByName('Summary') || sheet.insertSheet('Summary');
+  summarySheet.clear();
+  
+  summarySheet.getRange('A1:B10').setValues([
+    [`${event.label} - Form Generation Summary`, ''],
+    ['Generated on:', formatEventDateTime(event, run.finishedAt)],
+    ['Data source:', run.source],
+    ['Total sessions:', results.length],
+    ['Forms created:', counts.created],
+    ['Forms updated:', counts.updated],
+    ['Forms skipped (already exist):', counts.skipped],
+    ['Forms failed:', counts.failed],
+    ['Forms archived:', run.archived || 0],
+    ['Success rate:', results.length > 0 ? `${Math.round(((results.length - counts.failed) / results.length) * 100)}%` : 'n/a']
+  ]);
+  
+  summarySheet.getRange('A1').setFontWeight('bold').setFontSize(14);
+  summarySheet.getRange('A2:A10').setFontWeight('bold');
+  
+  // Every form archived so far, not just in this run
+  const archivedForms = Object.values(loadArchivedForms(event))
+    .sort((a, b) => String(a.archivedAt).localeCompare(String(b.archivedAt)));
+  const archivedSheet = writeTableToSheet(sheet, 'Archived Forms',
+    ['Form Title', 'Session ID', 'Session Title', 'Archived At', 'Responses', 'Edit URL'],
+    archivedForms.map(a => [a.formTitle, a.sessionId, a.sessionTitle, new Date(a.archivedAt), a.responses, a.editUrl]));
+  if (archivedForms.length > 0) {
+    archivedSheet.getRange(2, 4, archivedForms.length, 1).setNumberFormat(CONFIG.sheetDateFormat);
+  }
+  
+  appendRunHistory(event, sheet, results, counts, run);
+  
+  console.log(`📊 Results exported to: ${sheet.getUrl()}`);
+  return sheet.getUrl();
+}
+
+/**
+ * Count results by outcome. "Already Exists" is a skip, not a failure.
+ */
+function countResultStatuses(results) {
+  return {
+    created: results.filter(r => r.status === 'Created').length,
+    updated: results.filter(r => r.status === 'Updated').length,
+    skipped: results.filter(r => r.status === 'Already Exists').length,
+    failed: results.filter(r => String(r.status).indexOf('Error') === 0).length
+  };
+}
+
+/**
+ * Add one row per completed run to the "Run History" tab
+ */
+function appendRunHistory(event, spreadsheet, results, counts, run) {
+  const headers = ['Started', 'Finished', 'Duration (seconds)', 'Batches', 'Data Source', 'Total Sessions', 'Created', 'Updated', 'Skipped', 'Failed'];
+  let historySheet = spreadsheet.getSheetByName('Run History');
+  
+  if (!historySheet) {
+    historySheet = spreadsheet.insertSheet('Run History');
+    historySheet.getRange(1, 1, 1, headers.length).setValues([headers])
+      .setFontWeight('bold')
+      .setBackground('#4285f4')
+      .setFontColor('white');
+    historySheet.setFrozenRows(1);
+  }
+  
+  historySheet.appendRow([
+    run.startedAt,
+    run.finishedAt,
+    Math.round((run.finishedAt.getTime() - run.startedAt.getTime()) / 1000),
+    run.batches,
+    run.source,
+    results.length,
+    counts.created,
+    counts.updated,
+    counts.skipped,
+    counts.failed
+  ]);
+  historySheet.getRange(historySheet.getLastRow(), 1, 1, 2).setNumberFormat(CONFIG.sheetDateFormat);
+}
+
+/**
+ * Test function to create just one form (for testing)
+ */
+function testCreateOneForm(event) {
+  event = resolveEvent(event);
+  
+  try {
+    console.log('🧪 Testing form creation with one session...');
+    assertValidQuestionSchema();
+    
+    // Get just the first session
+    const allSessions = fetchSessionData(event);
+    if (allSessions.length === 0) {
+      throw new Error('No sessions found');
+    }
+    
+    const testSession = allSessions[0];
+    console.log(`Testing with session: ${testSession.title}`);
+    
+    const folderId = createFormsFolder(event);
+    const form = createFeedbackForm(event, testSession, folderId);
+    
+    console.log(`✅ Test form created successfully!`);
+    console.log(`📝 Form URL: ${form.getPublishedUrl()}`);
+    console.log(`✏️  Edit URL: ${form.getEditUrl()}`);
+    
+    return {
+      success: true,
+      formUrl: form.getPublishedUrl(),
+      editUrl: form.getEditUrl(),
+      session: testSession
+    };
+    
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Utility function to get session count from API
+ */
+function getSessionCount(event) {
+  event = resolveEvent(event);
+  const sessions = fetchSessionData(event);
+  console.log(`📊 Found ${sessions.length} sessions that need feedback forms`);
+  
+  // Group by room for summary
+  const roomCounts = {};
+  sessions.forEach(session => {
+    roomCounts[session.room] = (roomCounts[session.room] || 0) + 1;
+  });
+  
+  console.log('📍 Sessions by room:');
+  Object.entries(roomCounts).forEach(([room, count]) => {
+    console.log(`   ${room}: ${count} sessions`);
+  });
+  
+  return sessions.length;
+}
+
+/**
+ * Main function to aggregate responses from every feedback form into one workbook
+ */
+function aggregateFeedbackResponses(event) {
+  event = resolveEvent(event);
+  
+  try {
+    console.log(`📥 Starting ${event.label} feedback aggregation...`);
+    
+    const allFeedback = collectFeedbackResponses(event);
+    console.log(`✓ Collected ${allFeedback.responses.length} responses from ${allFeedback.forms.length} forms`);
+    
+    const flagged = writeResponseReview(event, allFeedback);
+    console.log(`✓ ${flagged} responses flagged for review`);
+    
+    const feedback = excludeJunkResponses(event, allFeedback);
+    const rollups = buildSessionRollups(feedback);
+    const spreadsheetUrl = exportFeedbackToSheet(event, feedback, rollups);
+    exportThemeSummaries(event, feedback);
+    
+    console.log(`\n🎉 Feedback aggregation completed!`);
+    console.log(`📋 Feedback spreadsheet: ${spreadsheetUrl}`);
+    
+    return {
+      success: true,
+      totalForms: feedback.forms.length,
+      totalResponses: feedback.responses.length,
+      excludedResponses: allFeedback.responses.length - feedback.responses.length,
+      flaggedResponses: flagged,
+      rollups: rollups,
+      spreadsheetUrl: spreadsheetUrl
+    };
+    
+  } catch (error) {
+    console.error('💥 Fatal error in feedback aggregation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Read every response from every form in the forms folder, including archived forms
+ * (sessions that left the schedule keep the feedback they already collected)
+ */
+function collectFeedbackResponses(event) {
+  const folderId = createFormsFolder(event);
+  const formFiles = getExistingForms(folderId).concat(getArchivedFormFiles(event));
+  const sessionsByFormTitle = getSessionsByFormTitle(event);
+  const sessionsByFormId = {};
+  const manifestEntries = Object.values(loadFormManifest(event));
+  Object.values(loadArchivedForms(event)).forEach(record => {
+    if (record.entry) {
+      manifestEntries.push(record.entry);
+    }
+  });
+  manifestEntries.forEach(entry => {
+    // Forms from before question templates have the default questions
+    sessionsByFormId[entry.formId] = Object.assign({ template: CONFIG.questionTemplates.defaultTemplate }, entry);
+  });
+  const eventFormId = PropertiesService.getScriptProperties().getProperty(`eventform:${event.id}`);
+  
+  const forms = [];
+  const responses = [];
+  
+  formFiles.forEach((file, index) => {
+    try {
+      console.log(`Reading form ${index + 1}/${formFiles.length}: ${file.getName()}`);
+      
+      const form = FormApp.openById(file.getId());
+      
+      // The event-wide form holds feedback for every session
+      if (file.getId() === eventFormId) {
+        const eventFeedback = readEventFormResponses(event, form);
+        forms.push(...eventFeedback.forms);
+        responses.push(...eventFeedback.responses);
+        return;
+      }
+      
+      const session = sessionsByFormId[file.getId()] ||
+        sessionsByFormTitle[file.getName()] ||
+        parseFormDescription(form);
+      
+      forms.push({ formId: form.getId(), session: session });
+      responses.push(...readFormResponses(form, session));
+      
+    } catch (error) {
+      console.error(`❌ Failed to read responses for: ${file.getName()}`, error);
+    }
+  });
+  
+  return { forms: forms, responses: responses };
+}
+
+/**
+ * Drive files of the archived forms that still exist
+ */
+function getArchivedFormFiles(event) {
+  const files = [];
+  
+  Object.values(loadArchivedForms(event)).forEach(record => {
+    try {
+      const file = DriveApp.getFileById(record.formId);
+      if (!file.isTrashed()) {
+        files.push(file);
+      }
+    } catch (error) {
+      console.warn(`Warning: Archived form "${record.formTitle}" is no longer available:`, error);
+    }
+  });
+  
+  if (files.length > 0) {
+    console.log(`📦 Including ${files.length} archived forms`);
+  }
+  return files;
+}
+
+/**
+ * Map expected form titles to their Sessionize session
+ */
+function getSessionsByFormTitle(event) {
+  const lookup = {};
+  
+  fetchSessionData(event).forEach(session => {
+    lookup[buildFormTitle(event, session)] = session;
+  });
+  
+  return lookup;
+}
+
+/**
+ * Recover session details from a form description written by createFeedbackForm()
+ */
+function parseFormDescription(form) {
+  const fields = {};
+  
+  form.getDescription().split('\n').forEach(line => {
+    const match = line.match(/^(Session|Speaker\(s\)|Time|Room):\s*(.*)$/);
+    if (match) {
+      fields[match[1]] = match[2].trim();
+    }
+  });
+  
+  return {
+    title: fields['Session'] || form.getTitle(),
+    speakers: (fields['Speaker(s)'] || '').split(',')
+      .map(name => name.trim())
+      .filter(name => name)
+      .map(name => ({ name: name })),
+    room: fields['Room'] || '',
+    // Older forms have a parseable time; newer ones show a range like "Sat, Jul 26 · 8:30–9:30 AM CDT"
+    startsAt: fields['Time'] && fields['Time'] !== 'TBD' ? normalizeSessionDate(fields['Time']) || '' : ''
+  };
+}
+
+/**
+ * Convert the responses of one form into normalized response records
+ */
+function readFormResponses(form, session) {
+  const formId = form.getId();
+  
+  return form.getResponses().map(response => {
+    const answers = {};
+    response.getItemResponses().forEach(itemResponse => {
+      answers[itemResponse.getItem().getTitle()] = itemResponse.getResponse();
+    });
+    
+    return buildResponseRecord(formId, response, session, answers);
+  });
+}
+
+/**
+ * Normalized response record for one session from a response's answers (by question title)
+ */
+function buildResponseRecord(formId, response, session, answers) {
+  const ratings = {};
+  getAllRatingQuestions().forEach(question => {
+    const value = Number(answers[question]);
+    ratings[question] = answers[question] !== undefined && answers[question] !== '' && !isNaN(value) ? value : null;
+  });
+  
+  const comments = {};
+  const analysis = {};
+  getAllTextQuestions().forEach(question => {
+    comments[question.title] = answers[question.title] || '';
+    analysis[question.title] = analyzeComment(comments[question.title]);
+  });
+  
+  // Other questions keep their answer as text (checkbox and grid answers are joined)
+  const otherAnswers = {};
+  getAllAnswerQuestions().forEach(question => {
+    const answer = answers[question];
+    otherAnswers[question] = Array.isArray(answer) ? answer.filter(a => a).join(', ') :
+      (answer === undefined || answer === null ? '' : String(answer));
+  });
+  
+  // Per-speaker grid answers come back as one column label per row
+  const speakerRatings = {};
+  if (session.speakers.length > 1) {
+    session.speakers.forEach(speaker => {
+      const grid = answers[getSpeakerRatingTitle(speaker.name)] || [];
+      speakerRatings[speaker.name] = {};
+      CONFIG.speakerRatings.rows.forEach((row, index) => {
+        const value = parseInt(grid[index], 10);
+        speakerRatings[speaker.name][row] = isNaN(value) ? null : value;
+      });
+    });
+  }
+  
+  return {
+    formId: formId,
+    responseId: response.getId(),
+    timestamp: response.getTimestamp(),
+    sessionTitle: session.title,
+    speaker: session.speakers.map(s => s.name).join(', '),
+    room: session.room,
+    startTime: session.startsAt,
+    ratings: ratings,
+    comments: comments,
+    analysis: analysis,
+    answers: otherAnswers,
+    speakerRatings: speakerRatings
+  };
+}
+
+/**
+ * Build per-session rollups (response count, mean/median per question, overall score)
+ */
+function buildSessionRollups(feedback) {
+  return feedback.forms.map(({ formId, session }) => {
+    const sessionResponses = feedback.responses.filter(r => r.formId === formId);
+    
+    const questionStats = {};
+    const allScores = [];
+    getAllRatingQuestions().forEach(question => {
+      const scores = sessionResponses
+        .map(r => r.ratings[question])
+        .filter(score => score !== null);
+        
+      questionStats[question] = {
+        mean: calculateMean(scores),
+        median: calculateMedian(scores)
+      };
+      allScores.push(...scores);
+    });
+    
+    return {
+      formId: formId,
+      sessionTitle: session.title,
+      speaker: session.speakers.map(s => s.name).join(', '),
+      room: session.room,
+      startTime: session.startsAt,
+      responseCount: sessionResponses.length,
+      questionStats: questionStats,
+      overallScore: calculateMean(allScores)
+    };
+  });
+}
+
+/**
+ * Average of a list of numbers, rounded to two decimals ('' when empty)
+ */
+function calculateMean(values) {
+  if (values.length === 0) {
+    return '';
+  }
+  
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return Math.round((total / values.length) * 100) / 100;
+}
+
+/**
+ * Median of a list of numbers ('' when empty)
+ */
+function calculateMedian(values) {
+  if (values.length === 0) {
+    return '';
+  }
+  
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  
+  return sorted.length % 2 === 0 ?
+    (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Export normalized responses and session rollups to the feedback workbook
+ */
+function exportFeedbackToSheet(event, feedback, rollups) {
+  const sheet = getOrCreateSpreadsheet(event, event.feedbackSpreadsheetName);
+  
+  // Responses tab - one row per response
+  const ratingQuestions = getAllRatingQuestions();
+  const textQuestions = getAllTextQuestions();
+  const answerQuestions = getAllAnswerQuestions();
+  const responseHeaders = ['Timestamp', 'Session Title', 'Room', 'Speaker(s)', 'Start Time']
+    .concat(ratingQuestions)
+    .concat(textQuestions.map(q => q.title))
+    .concat(answerQuestions)
+    .concat(...textQuestions.map(q => [`${q.title} (Sentiment)`, `${q.title} (Themes)`]))
+    .concat(['Sentiment', 'Themes', 'Response ID', 'Form ID']);
+    
+  const responseRows = feedback.responses.map(r => [
+    r.timestamp,
+    r.sessionTitle,
+    r.room,
+    r.speaker,
+    toSheetDate(event, r.startTime)
+  ]
+    .concat(ratingQuestions.map(q => r.ratings[q] === null ? '' : r.ratings[q]))
+    .concat(textQuestions.map(q => r.comments[q.title]))
+    .concat(answerQuestions.map(q => r.answers[q]))
+    .concat(...textQuestions.map(q => [
+      r.comments[q.title] ? r.analysis[q.title].score : '',
+      r.analysis[q.title].themes.join(', ')
+    ]))
+    .concat([getResponseSentiment(r), getResponseThemes(r).join(', '), r.responseId, r.formId]));
+    
+  writeTableToSheet(sheet, 'Responses', responseHeaders, responseRows);
+  
+  // Rollup tab - one row per session
+  const rollupHeaders = ['Session Title', 'Room', 'Speaker(s)', 'Start Time', 'Responses'];
+  ratingQuestions.forEach(question => {
+    rollupHeaders.push(`${question} (Mean)`, `${question} (Median)`);
+  });
+  rollupHeaders.push('Overall Score');
+  
+  const rollupRows = rollups.map(r => {
+    const row = [r.sessionTitle, r.room, r.speaker, toSheetDate(event, r.startTime), r.responseCount];
+    ratingQuestions.forEach(question => {
+      row.push(r.questionStats[question].mean, r.questionStats[question].median);
+    });
+    row.push(r.overallScore);
+    return row;
+  });
+  
+  writeTableToSheet(sheet, 'Session Rollup', rollupHeaders, rollupRows);
+  
+  // Speaker Ratings tab - one row per speaker of each co-presented session
+  const speakerRatingRows = [];
+  feedback.forms.filter(({ session }) => session.speakers.length > 1).forEach(({ formId, session }) => {
+    const responses = feedback.responses.filter(r => r.formId === formId);
+    calculateSpeakerAverages(responses, session).forEach(averages => {
+      speakerRatingRows.push([session.title, averages.speaker, averages.responses]
+        .concat(CONFIG.speakerRatings.rows.map(row => averages.rows[row]))
+        .concat([averages.overall]));
+    });
+  });
+  
+  writeTableToSheet(sheet, 'Speaker Ratings', ['Session Title', 'Speaker', 'Responses']
+    .concat(CONFIG.speakerRatings.rows)
+    .concat(['Overall Score']), speakerRatingRows);
+  
+  console.log(`📊 Feedback exported to: ${sheet.getUrl()}`);
+  return sheet.getUrl();
+}
+
+/**
+ * Open the event's spreadsheet with the given name, in the event's timezone.
+ * Its id is kept in Script Properties ("spreadsheet:<eventId>:<name>"), so every run
+ * writes to the same file even when Drive holds several copies with that name. The
+ * first run picks the most recently updated copy, or creates the spreadsheet.
+ */
+function getOrCreateSpreadsheet(event, name) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const key = `spreadsheet:${event.id}:${name}`;
+  let spreadsheet = null;
+  
+  const spreadsheetId = scriptProperties.getProperty(key);
+  if (spreadsheetId) {
+    try {
+      spreadsheet = DriveApp.getFileById(spreadsheetId).isTrashed() ? null : SpreadsheetApp.openById(spreadsheetId);
+    } catch (error) {
+      console.warn(`Warning: Spreadsheet "${name}" is no longer available:`, error);
+    }
+  }
+  
+  if (!spreadsheet) {
+    spreadsheet = findSpreadsheetByName(name) || SpreadsheetApp.create(name);
+    scriptProperties.setProperty(key, spreadsheet.getId());
+  }
+  
+  // Spreadsheets from before the timezone was set (or edited since) get the event's back
+  if (spreadsheet.getSpreadsheetTimeZone() !== event.timeZone) {
+    spreadsheet.setSpreadsheetTimeZone(event.timeZone);
+  }
+  return spreadsheet;
+}
+
+/**
+ * The most recently updated spreadsheet with the given name, or null
+ */
+function findSpreadsheetByName(name) {
+  const files = DriveApp.getFilesByName(name);
+  const candidates = [];
+  
+  while (files.hasNext()) {
+    const file = files.next();
+    if (file.getMimeType() === MimeType.GOOGLE_SHEETS && !file.isTrashed()) {
+      candidates.push(file);
+    }
+  }
+  
+  if (candidates.length === 0) {
+    return null;
+  }
+  
+  candidates.sort((a, b) => b.getLastUpdated() - a.getLastUpdated());
+  if (candidates.length > 1) {
+    console.warn(`⚠️  Found ${candidates.length} spreadsheets named "${name}" - using the most recently updated one from now on`);
+  }
+  return SpreadsheetApp.openById(candidates[0].getId());
+}
+
+/**
+ * Replace the contents of a named tab with a header row and data rows
+ */
+function writeTableToSheet(spreadsheet, sheetName, headers, rows) {
+  const worksheet = spreadsheet.getSheetByName(sheetName) || spreadsheet.insertSheet(sheetName);
+  
+  if (worksheet.getFilter()) {
+    worksheet.getFilter().remove();
+  }
+  worksheet.clear();
+  
+  worksheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  if (rows.length > 0) {
+    worksheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  }
+  
+  // Format the sheet
+  worksheet.getRange(1, 1, 1, headers.length)
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('white');
+  worksheet.setFrozenRows(1);
+  
+  for (let i = 1; i <= headers.length; i++) {
+    worksheet.autoResizeColumn(i);
+  }
+  
+  worksheet.getRange(1, 1, rows.length + 1, headers.length).createFilter();
+  
+  // Drop the empty default tab left behind by SpreadsheetApp.create()
+  const defaultSheet = spreadsheet.getSheetByName('Sheet1');
+  if (defaultSheet && spreadsheet.getSheets().length > 1 && defaultSheet.getLastRow() === 0) {
+    spreadsheet.deleteSheet(defaultSheet);
+  }
+  
+  return worksheet;
+}
+
+/**
+ * Main function to build a feedback report for each speaker and email it to them.
+ * Co-presenters share one combined report, as do speakers with several sessions.
+ * Pass false to build the reports without sending any email. Reports already marked
+ * Sent on the Speaker Reports tab are left alone; clear their Status to redo them.
+ */
+function generateSpeakerReports(event, sendEmails) {
+  event = resolveEvent(event);
+  
+  try {
+    console.log(`📝 Starting ${event.label} speaker report generation...`);
+    
+    const feedback = excludeJunkResponses(event, collectFeedbackResponses(event));
+    const eventAverages = calculateQuestionAverages(feedback.responses);
+    const speakerEmails = getSpeakerEmails(event, feedback);
+    const reportsFolderId = getOrCreateSubfolder(createFormsFolder(event), CONFIG.speakerReports.folderName);
+    const spreadsheet = getOrCreateSpreadsheet(event, event.feedbackSpreadsheetName);
+    const sentReports = loadSentSpeakerReports(spreadsheet);
+    
+    const groups = groupSessionsBySpeaker(feedback);
+    console.log(`✓ Built ${groups.length} speaker report groups`);
+    
+    const results = [];
+    let alreadySent = 0;
+    
+    groups.forEach((group, index) => {
+      const speakerNames = group.speakers.join(', ');
+      const emails = group.speakers
+        .map(name => speakerEmails[name.toLowerCase()])
+        .filter(email => email);
+        
+      if (sentReports[speakerNames]) {
+        console.log(`⏭️  Report already sent: ${speakerNames}`);
+        results.push(sentReports[speakerNames]);
+        alreadySent++;
+        return;
+      }
+      
+      try {
+        console.log(`Building report ${index + 1}/${groups.length}: ${speakerNames}`);
+        
+        const doc = createSpeakerReportDoc(event, group, feedback, eventAverages, reportsFolderId);
+        let status = 'Report Created';
+        
+        if (sendEmails !== false) {
+          if (emails.length > 0) {
+            sendSpeakerReport(event, group, doc, emails);
+            status = 'Sent';
+          } else {
+            status = 'No Email';
+            console.warn(`⚠️  No email address for: ${speakerNames}`);
+          }
+        }
+        
+        results.push({
+          speakers: speakerNames,
+          emails: emails.join(', '),
+          sessions: group.forms.map(f => f.session.title).join('\n'),
+          reportUrl: doc.getUrl(),
+          status: status
+        });
+        
+      } catch (error) {
+        console.error(`❌ Failed to build report for: ${speakerNames}`, error);
+        results.push({
+          speakers: speakerNames,
+          emails: emails.join(', '),
+          sessions: group.forms.map(f => f.session.title).join('\n'),
+          reportUrl: 'ERROR',
+          status: `Error: ${error.message}`
+        });
+      }
+    });
+    
+    writeTableToSheet(spreadsheet, CONFIG.speakerReports.reportSheetName,
+      ['Speaker(s)', 'Email(s)', 'Sessions', 'Report URL', 'Status'],
+      results.map(r => [r.speakers, r.emails, r.sessions, r.reportUrl, r.status]));
+      
+    const sentCount = results.filter(r => r.status === 'Sent').length - alreadySent;
+    console.log(`\n🎉 Speaker reports completed!`);
+    console.log(`✅ Reports emailed: ${sentCount}`);
+    console.log(`⏭️  Already sent before: ${alreadySent}`);
+    console.log(`⚠️  Missing email: ${results.filter(r => r.status === 'No Email').length}`);
+    console.log(`❌ Failed: ${results.filter(r => r.status.startsWith('Error')).length}`);
+    
+    return {
+      success: true,
+      totalReports: results.length,
+      reportsSent: sentCount,
+      results: results,
+      spreadsheetUrl: spreadsheet.getUrl()
+    };
+    
+  } catch (error) {
+    console.error('💥 Fatal error in speaker report generation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Rows of the Speaker Reports tab whose Status is Sent, by speaker names
+ */
+function loadSentSpeakerReports(spreadsheet) {
+  const worksheet = spreadsheet.getSheetByName(CONFIG.speakerReports.reportSheetName);
+  const sent = {};
+  
+  if (worksheet) {
+    worksheet.getDataRange().getValues().slice(1).forEach(([speakers, emails, sessions, reportUrl, status]) => {
+      if (speakers && String(status).trim() === 'Sent') {
+        sent[speakers] = { speakers: speakers, emails: emails, sessions: sessions, reportUrl: reportUrl, status: 'Sent' };
+      }
+    });
+  }
+  
+  return sent;
+}
+
+/**
+ * Group forms so that every speaker appears in exactly one report.
+ * Speakers who share a session are merged into the same group.
+ */
+function groupSessionsBySpeaker(feedback) {
+  const parent = {};
+  const find = name => {
+    while (parent[name] !== name) {
+      parent[name] = parent[parent[name]];
+      name = parent[name];
+    }
+    return name;
+  };
+  
+  feedback.forms.forEach(({ session }) => {
+    const names = session.speakers.map(s => s.name);
+    names.forEach(name => {
+      if (!(name in parent)) {
+        parent[name] = name;
+      }
+    });
+    names.slice(1).forEach(name => {
+      parent[find(name)] = find(names[0]);
+    });
+  });
+  
+  const groups = {};
+  feedback.forms.forEach(form => {
+    if (form.session.speakers.length === 0) {
+      return;
+    }
+    
+    const root = find(form.session.speakers[0].name);
+    if (!groups[root]) {
+      groups[root] = { speakers: [], forms: [] };
+    }
+    groups[root].forms.push(form);
+    form.session.speakers.forEach(s => {
+      if (groups[root].speakers.indexOf(s.name) === -1) {
+        groups[root].speakers.push(s.name);
+      }
+    });
+  });
+  
+  return Object.values(groups);
+}
+
+/**
+ * Average score per rating question across a set of responses
+ */
+function calculateQuestionAverages(responses) {
+  const averages = {};
+  
+  getAllRatingQuestions().forEach(question => {
+    averages[question] = calculateMean(responses
+      .map(r => r.ratings[question])
+      .filter(score => score !== null));
+  });
+  
+  return averages;
+}
+
+/**
+ * Average grid scores for each speaker of a co-presented session. Responses counts
+ * the responses that rated the speaker at all.
+ */
+function calculateSpeakerAverages(responses, session) {
+  return session.speakers.map(speaker => {
+    const rated = responses.filter(r => r.speakerRatings && r.speakerRatings[speaker.name] &&
+      Object.values(r.speakerRatings[speaker.name]).some(score => score !== null));
+    const rows = {};
+    const allScores = [];
+    
+    CONFIG.speakerRatings.rows.forEach(row => {
+      const scores = rated.map(r => r.speakerRatings[speaker.name][row]).filter(score => score !== null);
+      rows[row] = calculateMean(scores);
+      allScores.push(...scores);
+    });
+    
+    return { speaker: speaker.name, responses: rated.length, rows: rows, overall: calculateMean(allScores) };
+  });
+}
+
+/**
+ * Count how many responses gave each score (1-5) to a rating question
+ */
+function calculateRatingDistribution(responses, question) {
+  const counts = [0, 0, 0, 0, 0];
+  
+  responses.forEach(r => {
+    const score = r.ratings[question];
+    if (score >= 1 && score <= 5) {
+      counts[score - 1]++;
+    }
+  });
+  
+  return counts;
+}
+
+/**
+ * Read speaker email addresses from the mapping tab of the feedback workbook.
+ * The tab is created with every speaker name on first use so organizers can fill it in.
+ */
+function getSpeakerEmails(event, feedback) {
+  const spreadsheet = getOrCreateSpreadsheet(event, event.feedbackSpreadsheetName);
+  let worksheet = spreadsheet.getSheetByName(CONFIG.speakerReports.emailSheetName);
+  
+  if (!worksheet) {
+    const names = [];
+    feedback.forms.forEach(({ session }) => {
+      session.speakers.forEach(s => {
+        if (names.indexOf(s.name) === -1) {
+          names.push(s.name);
+        }
+      });
+    });
+    
+    worksheet = writeTableToSheet(spreadsheet, CONFIG.speakerReports.emailSheetName,
+      ['Speaker', 'Email'], names.sort().map(name => [name, '']));
+    console.log(`📋 Created "${CONFIG.speakerReports.emailSheetName}" tab - fill in speaker emails and run again`);
+  }
+  
+  const emails = {};
+  worksheet.getDataRange().getValues().slice(1).forEach(([name, email]) => {
+    if (name && email) {
+      emails[String(name).trim().toLowerCase()] = String(email).trim();
+    }
+  });
+  
+  return emails;
+}
+
+/**
+ * Render a speaker group's feedback report as a Google Doc.
+ * A report from an earlier run with the same name is moved to the trash.
+ */
+function createSpeakerReportDoc(event, group, feedback, eventAverages, folderId) {
+  const speakerNames = group.speakers.join(', ');
+  const name = `${event.label} - Speaker Feedback - ${speakerNames}`;
+  
+  const existing = DriveApp.getFolderById(folderId).getFilesByName(name);
+  while (existing.hasNext()) {
+    existing.next().setTrashed(true);
+    console.log(`🗑️  Replaced previous report: ${name}`);
+  }
+  
+  const doc = DocumentApp.create(name);
+  moveFileToFolder(doc.getId(), folderId);
+  
+  const body = doc.getBody();
+  body.appendParagraph(`${event.label} Session Feedback`)
+    .setHeading(DocumentApp.ParagraphHeading.TITLE);
+  body.appendParagraph(`Speaker(s): ${speakerNames}`);
+  body.appendParagraph(`Thank you for speaking at ${event.displayName}! ` +
+    'Below is the feedback attendees shared about your session(s).');
+    
+  group.forms.forEach(({ formId, session }) => {
+    const responses = feedback.responses.filter(r => r.formId === formId);
+    
+    body.appendParagraph(session.title).setHeading(DocumentApp.ParagraphHeading.HEADING1);
+    body.appendParagraph(
+      `Speaker(s): ${session.speakers.map(s => s.name).join(', ')}\n` +
+      `Room: ${session.room}\n` +
+      `Time: ${session.startsAt ? formatSessionTimeRange(event, session) : 'TBD'}\n` +
+      `Responses: ${responses.length}`
+    );
+    
+    if (responses.length === 0) {
+      body.appendParagraph('No feedback was submitted for this session.');
+      return;
+    }
+    
+    // Only the questions this session's form asked
+    const template = findQuestionTemplate(session);
+    
+    // Averages against the event average
+    const sessionAverages = calculateQuestionAverages(responses);
+    body.appendParagraph('Ratings').setHeading(DocumentApp.ParagraphHeading.HEADING2);
+    body.appendTable([['Question', 'Your Average', 'Event Average']].concat(
+      template.ratingQuestions.map(q => [q, String(sessionAverages[q]), String(eventAverages[q])])
+    ));
+    
+    // Co-presenters' individual ratings
+    if (session.speakers.length > 1) {
+      const speakerAverages = calculateSpeakerAverages(responses, session);
+      if (speakerAverages.some(averages => averages.responses > 0)) {
+        body.appendParagraph('Individual Speaker Ratings').setHeading(DocumentApp.ParagraphHeading.HEADING2);
+        body.appendTable([['Speaker'].concat(CONFIG.speakerRatings.rows).concat(['Overall', 'Responses'])].concat(
+          speakerAverages.map(averages => [averages.speaker]
+            .concat(CONFIG.speakerRatings.rows.map(row => String(averages.rows[row])))
+            .concat([String(averages.overall), String(averages.responses)]))
+        ));
+      }
+    }
+    
+    // Score distribution per question
+    body.appendParagraph('Score Distribution').setHeading(DocumentApp.ParagraphHeading.HEADING2);
+    body.appendTable([['Question', '1', '2', '3', '4', '5']].concat(
+      template.ratingQuestions.map(q => [q].concat(calculateRatingDistribution(responses, q).map(String)))
+    ));
+    
+    // Comments
+    template.textQuestions.forEach(question => {
+      const comments = responses
+        .map(r => r.comments[question.title])
+        .filter(comment => comment && comment.trim());
+        
+      body.appendParagraph(question.title).setHeading(DocumentApp.ParagraphHeading.HEADING2);
+      if (comments.length === 0) {
+        body.appendParagraph('No comments.');
+      } else {
+        comments.forEach(comment => {
+          body.appendListItem(comment.trim()).setGlyphType(DocumentApp.GlyphType.BULLET);
+        });
+      }
+    });
+  });
+  
+  doc.saveAndClose();
+  return doc;
+}
+
+/**
+ * Email a speaker report as a PDF attachment
+ */
+function sendSpeakerReport(event, group, doc, emails) {
+  const pdf = DriveApp.getFileById(doc.getId()).getAs(MimeType.PDF)
+    .setName(`${doc.getName()}.pdf`);
+    
+  const options = {
+    to: emails.join(','),
+    subject: fillEventText(event, CONFIG.speakerReports.emailSubject),
+    body:
+      `Hi ${group.speakers.join(' & ')},\n\n` +
+      `Thank you for speaking at ${event.displayName}! ` +
+      `Your session feedback report is attached.\n\n` +
+      `Sessions:\n${group.forms.map(f => `- ${f.session.title}`).join('\n')}\n\n` +
+      `${event.displayName} Organizers`,
+    attachments: [pdf]
+  };
+  
+  if (CONFIG.speakerReports.replyTo) {
+    options.replyTo = CONFIG.speakerReports.replyTo;
+  }
+  
+  MailApp.sendEmail(options);
+  console.log(`📧 Sent report to: ${emails.join(', ')}`);
+}
+
+/**
+ * Dry run of createSessionFeedbackForms(): report which forms would be created,
+ * skipped, renamed, updated or orphaned without creating or changing anything.
+ * The plan is written to the log and to a "Plan" tab for review.
+ */
+function planSessionFeedbackForms(event) {
+  event = resolveEvent(event);
+  
+  try {
+    console.log(`🔍 Planning ${event.label} form generation (dry run - nothing will be changed)...`);
+    assertValidQuestionSchema();
+    
+    // Neither the session snapshot nor the forms folder is written by a dry run
+    const sessions = fetchSessionDataWithSource(event, { persist: false }).sessions;
+    console.log(`✓ Fetched ${sessions.length} valid sessions from Sessionize API`);
+    
+    const folderId = findFormsFolder(event);
+    const existingForms = folderId ? getExistingForms(folderId) : [];
+    const manifest = loadFormManifest(event);
+    console.log(`📋 Found ${existingForms.length} existing forms in folder (${Object.keys(manifest).length} in manifest)`);
+    
+    const plan = [];
+    const matchedFormIds = {};
+    
+    sessions.forEach(session => {
+      const form = findFormForSession(event, session, manifest[getSessionKey(session)], existingForms);
+      
+      if (!form) {
+        const archived = loadArchivedForms(event)[getSessionKey(session)];
+        plan.push(archived ?
+          buildPlanEntry('Restore', session, null, `Form will be moved back from ${CONFIG.archive.folderName} (${archived.responses} responses)`) :
+          buildPlanEntry('Create', session, null, 'New form'));
+        return;
+      }
+      
+      matchedFormIds[form.getId()] = true;
+      const changes = getFormChanges(event, form, session);
+      
+      if (changes.some(change => change.field === 'title')) {
+        plan.push(buildPlanEntry('Rename', session, form, changes.map(c => c.summary).join('; ')));
+      } else if (changes.length > 0) {
+        plan.push(buildPlanEntry('Update', session, form, changes.map(c => c.summary).join('; ')));
+      } else {
+        plan.push(buildPlanEntry('Skip', session, form, 'Up to date'));
+      }
+    });
+    
+    // Forms in the folder that no current session points to (other than the event-wide form)
+    matchedFormIds[PropertiesService.getScriptProperties().getProperty(`eventform:${event.id}`)] = true;
+    existingForms
+      .filter(file => !matchedFormIds[file.getId()])
+      .forEach(file => {
+        plan.push({
+          action: 'Orphaned',
+          sessionId: '',
+          sessionTitle: '',
+          speaker: '',
+          room: '',
+          startTime: '',
+          currentFormTitle: file.getName(),
+          details: `No matching session in Sessionize data - will be closed and moved to ${CONFIG.archive.folderName}`,
+          editUrl: FormApp.openById(file.getId()).getEditUrl()
+        });
+      });
+    
+    // Log the plan
+    const counts = {};
+    plan.forEach(entry => {
+      counts[entry.action] = (counts[entry.action] || 0) + 1;
+      if (entry.action !== 'Skip') {
+        console.log(`   ${entry.action}: ${entry.sessionTitle || entry.currentFormTitle}` +
+          (entry.action === 'Create' ? '' : ` (${entry.details})`));
+      }
+    });
+    
+    const spreadsheet = getOrCreateSpreadsheet(event, event.spreadsheetName);
+    writeTableToSheet(spreadsheet, 'Plan',
+      ['Action', 'Session ID', 'Session Title', 'Speaker(s)', 'Room', 'Start Time', 'Current Form Title', 'Details', 'Edit URL'],
+      plan.map(p => [p.action, p.sessionId, p.sessionTitle, p.speaker, p.room, p.startTime, p.currentFormTitle, p.details, p.editUrl]));
+    
+    console.log(`\n📝 Plan completed - no forms were created or changed`);
+    ['Create', 'Restore', 'Rename', 'Update', 'Skip', 'Orphaned'].forEach(action => {
+      console.log(`   ${action}: ${counts[action] || 0}`);
+    });
+    console.log(`📋 Plan sheet: ${spreadsheet.getUrl()}`);
+    
+    return {
+      success: true,
+      counts: counts,
+      plan: plan,
+      spreadsheetUrl: spreadsheet.getUrl()
+    };
+    
+  } catch (error) {
+    console.error('💥 Fatal error in form planning:', error);
+    throw error;
+  }
+}
+
+/**
+ * Build a plan row for a session and (optionally) its existing form
+ */
+function buildPlanEntry(action, session, form, details) {
+  return {
+    action: action,
+    sessionId: session.id || '',
+    sessionTitle: session.title,
+    speaker: session.speakers.map(s => s.name).join(', '),
+    room: session.room,
+    startTime: session.startsAt,
+    currentFormTitle: form ? form.getTitle() : '',
+    details: details,
+    editUrl: form ? form.getEditUrl() : ''
+  };
+}
+
+/**
+ * Install the time-driven trigger that opens and closes forms on schedule,
+ * and apply the schedule to the event's forms once right away
+ */
+function installFormScheduler(event) {
+  event = resolveEvent(event);
+  ensureFormScheduler();
+  return updateFormSchedule(event);
+}
+
+/**
+ * Install the form scheduler trigger unless it is already installed. The one trigger
+ * handles the forms of every event. New forms are created closed and only the
+ * scheduler opens them, so form generation calls this. Returns whether it was installed.
+ */
+function ensureFormScheduler() {
+  if (ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === 'updateFormSchedule')) {
+    return false;
+  }
+  
+  ScriptApp.newTrigger('updateFormSchedule')
+    .timeBased()
+    .everyMinutes(CONFIG.formSchedule.checkIntervalMinutes)
+    .create();
+    
+  console.log(`⏰ Form scheduler installed (checks every ${CONFIG.formSchedule.checkIntervalMinutes} minutes)`);
+  return true;
+}
+
+/**
+ * Remove the form scheduler trigger
+ */
+function removeFormScheduler() {
+  deleteTriggersForHandler('updateFormSchedule');
+  console.log('⏰ Form scheduler removed');
+}
+
+/**
+ * Trigger handler: open forms whose session has started and close forms whose
+ * session ended more than CONFIG.formSchedule.closeMinutesAfterEnd ago.
+ * Each form follows its own session's times, so Friday precons and Saturday
+ * sessions open and close independently. From the trigger, every event in
+ * CONFIG.events is checked, and the trigger removes itself once every form of
+ * every event is closed. Given an event (or id), only that event's forms are checked.
+ */
+function updateFormSchedule(event) {
+  const singleEvent = typeof event === 'string' || (event && event.sessionizeId);
+  const events = singleEvent ? [resolveEvent(event)] : Object.keys(CONFIG.events).map(getEvent);
+  const now = new Date();
+  const counts = { pending: 0, open: 0, closed: 0, changed: 0 };
+  
+  events.forEach(scheduledEvent => {
+    Object.values(loadFormManifest(scheduledEvent)).forEach(entry => {
+      try {
+        const form = FormApp.openById(entry.formId);
+        const wasAccepting = form.isAcceptingResponses();
+        const state = applyFormSchedule(scheduledEvent, form, entry, now);
+        
+        counts[state]++;
+        if (wasAccepting !== form.isAcceptingResponses()) {
+          counts.changed++;
+          console.log(`${state === 'open' ? '🟢 Opened' : '🔴 Closed'}: ${entry.title} (${scheduledEvent.label})`);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to update schedule for: ${entry.title}`, error);
+      }
+    });
+  });
+  
+  console.log(`⏰ Schedule check: ${counts.open} open, ${counts.pending} not yet open, ${counts.closed} closed (${counts.changed} changed)`);
+  
+  if (!singleEvent && counts.pending === 0 && counts.open === 0 && counts.closed > 0) {
+    deleteTriggersForHandler('updateFormSchedule');
+    console.log('⏰ All forms of every event are closed - form scheduler removed');
+  }
+  
+  return counts;
+}
+
+/**
+ * Open or close a form according to its session's schedule.
+ * Returns the schedule state: 'pending', 'open' or 'closed'.
+ */
+function applyFormSchedule(event, form, session, now) {
+  if (!CONFIG.formSchedule.enabled) {
+    form.setAcceptingResponses(true);
+    return 'open';
+  }
+  
+  const feedbackWindow = getFeedbackWindow(event, session);
+  let state = 'open';
+  
+  if (feedbackWindow.opensAt && now < feedbackWindow.opensAt) {
+    state = 'pending';
+  } else if (feedbackWindow.closesAt && now >= feedbackWindow.closesAt) {
+    state = 'closed';
+  }
+  
+  if (state === 'open') {
+    if (!form.isAcceptingResponses()) {
+      form.setAcceptingResponses(true);
+    }
+  } else {
+    form.setCustomClosedFormMessage(fillEventText(event, state === 'pending' ?
+      CONFIG.formSchedule.notYetOpenMessage : CONFIG.formSchedule.closedMessage));
+    if (form.isAcceptingResponses()) {
+      form.setAcceptingResponses(false);
+    }
+  }
+  
+  return state;
+}
+
+/**
+ * When a session's feedback form should open and close.
+ * Sessions without an end time are assumed to last defaultDurationMinutes.
+ */
+function getFeedbackWindow(event, session) {
+  if (!session.startsAt) {
+    return { opensAt: null, closesAt: null };
+  }
+  
+  const startsAt = parseSessionTime(event, session.startsAt);
+  const endsAt = session.endsAt ? parseSessionTime(event, session.endsAt) :
+    new Date(startsAt.getTime() + CONFIG.formSchedule.defaultDurationMinutes * 60 * 1000);
+  
+  return {
+    opensAt: new Date(startsAt.getTime() - CONFIG.formSchedule.openMinutesBeforeStart * 60 * 1000),
+    closesAt: new Date(endsAt.getTime() + CONFIG.formSchedule.closeMinutesAfterEnd * 60 * 1000)
+  };
+}
+
+/**
+ * Build a Slides deck with one printable sign per session: title, speakers,
+ * room, time and a QR code linking to the session's feedback form.
+ * Uses the given generation results, or the form manifest when none are passed.
+ */
+function createSessionSigns(event, results) {
+  event = resolveEvent(event);
+  
+  try {
+    console.log(`🪧 Building ${event.label} session signs...`);
+    
+    const signResults = getSignResults(event, results)
+      .sort((a, b) => compareByFields(a, b, ['room', 'startTime']));
+    console.log(`✓ Found ${signResults.length} sessions with a feedback form`);
+    
+    const presentation = createSignDeck(event, `${event.label} - Session Signs`);
+    const startingSlides = presentation.getSlides();
+    const logo = getSignLogo();
+    
+    const withoutQrCode = [];
+    
+    signResults.forEach((result, index) => {
+      console.log(`Adding sign ${index + 1}/${signResults.length}: ${result.sessionTitle}`);
+      const qrCode = fetchQrCode(result.formUrl);
+      if (!qrCode) {
+        withoutQrCode.push(result.sessionTitle);
+      }
+      addSessionSignSlide(event, presentation, logo, result, qrCode);
+    });
+    
+    // Drop the template's own slides (or the default title slide)
+    startingSlides.forEach(slide => slide.remove());
+    presentation.saveAndClose();
+    
+    console.log(`\n🎉 Session signs completed: ${presentation.getUrl()}`);
+    logSignsWithoutQrCode(withoutQrCode);
+    return {
+      success: true,
+      totalSigns: signResults.length,
+      signsWithoutQrCode: withoutQrCode,
+      presentationUrl: presentation.getUrl()
+    };
+    
+  } catch (error) {
+    console.error('💥 Fatal error in session sign generation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Build a Slides deck with one sheet per room that lists the room's sessions
+ * in time order, each with its own feedback QR code
+ */
+function createRoomSigns(event, results) {
+  event = resolveEvent(event);
+  
+  try {
+    console.log(`🪧 Building ${event.label} room signs...`);
+    
+    const rooms = {};
+    getSignResults(event, results).forEach(result => {
+      const room = result.room || 'TBD';
+      (rooms[room] = rooms[room] || []).push(result);
+    });
+    
+    const roomNames = Object.keys(rooms).sort((a, b) => a.localeCompare(b));
+    console.log(`✓ Found ${roomNames.length} rooms`);
+    
+    const presentation = createSignDeck(event, `${event.label} - Room Signs`);
+    const startingSlides = presentation.getSlides();
+    const logo = getSignLogo();
+    
+    const withoutQrCode = [];
+    
+    roomNames.forEach((room, index) => {
+      const roomResults = rooms[room].sort((a, b) => compareByFields(a, b, ['startTime', 'sessionTitle']));
+      console.log(`Adding room ${index + 1}/${roomNames.length}: ${room} (${roomResults.length} sessions)`);
+      const qrCodes = roomResults.map(r => fetchQrCode(r.formUrl));
+      roomResults.forEach((r, i) => {
+        if (!qrCodes[i]) {
+          withoutQrCode.push(r.sessionTitle);
+        }
+      });
+      addRoomSignSlide(event, presentation, logo, room, roomResults, qrCodes);
+    });
+    
+    startingSlides.forEach(slide => slide.remove());
+    presentation.saveAndClose();
+    
+    console.log(`\n🎉 Room signs completed: ${presentation.getUrl()}`);
+    logSignsWithoutQrCode(withoutQrCode);
+    return {
+      success: true,
+      totalRooms: roomNames.length,
+      signsWithoutQrCode: withoutQrCode,
+      presentationUrl: presentation.getUrl()
+    };
+    
+  } catch (error) {
+    console.error('💥 Fatal error in room sign generation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Results to print signs for. Without generation results, the form manifest
+ * supplies the session details and each form's published URL.
+ */
+function getSignResults(event, results) {
+  if (Array.isArray(results)) {
+    return results.filter(r => r.formUrl && r.formUrl !== 'ERROR');
+  }
+  
+  const manifest = loadFormManifest(event);
+  const signResults = [];
+  
+  Object.keys(manifest).forEach(sessionKey => {
+    const entry = manifest[sessionKey];
+    try {
+      const form = FormApp.openById(entry.formId);
+      signResults.push({
+        sessionId: entry.sessionId,
+        sessionTitle: entry.title,
+        speaker: entry.speakers.map(s => s.name).join(', '),
+        room: entry.room,
+        startTime: entry.startsAt,
+        endTime: entry.endsAt,
+        formUrl: form.getPublishedUrl()
+      });
+    } catch (error) {
+      console.warn(`Warning: Skipping sign for "${entry.title}", its form is no longer available`);
+    }
+  });
+  
+  return signResults;
+}
+
+/**
+ * Compare two objects field by field (ISO times sort as text)
+ */
+function compareByFields(a, b, fields) {
+  for (const field of fields) {
+    const order = String(a[field] || '').localeCompare(String(b[field] || ''));
+    if (order !== 0) {
+      return order;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Fetch a QR code image for a URL, or null when the QR service fails or throttles
+ * the request (the sign then shows the link instead)
+ */
+function fetchQrCode(url) {
+  const qrCodeUrl = CONFIG.signs.qrCodeApiUrl
+    .replace(/\{size\}/g, CONFIG.signs.qrCodeSize)
+    .replace('{data}', encodeURIComponent(url));
+    
+  try {
+    const response = UrlFetchApp.fetch(qrCodeUrl, { muteHttpExceptions: true });
+    if (response.getResponseCode() !== 200) {
+      throw new Error(`status ${response.getResponseCode()}`);
+    }
+    return response.getBlob().setName('qr-code.png');
+  } catch (error) {
+    console.warn(`⚠️  Could not fetch the QR code for ${url}:`, error);
+    return null;
+  }
+}
+
+/**
+ * List the signs that show a link because their QR code could not be fetched
+ */
+function logSignsWithoutQrCode(titles) {
+  if (titles.length === 0) {
+    return;
+  }
+  
+  console.warn(`⚠️  ${titles.length} signs have a link instead of a QR code - rerun to retry:`);
+  titles.forEach(title => console.warn(`   - ${title}`));
+}
+
+/**
+ * Place a QR code on a sign, or the form link in a framed box when there is none
+ */
+function insertQrCode(slide, qrCode, url, left, top, size) {
+  if (qrCode) {
+    return slide.insertImage(qrCode, left, top, size, size);
+  }
+  
+  const box = slide.insertTextBox(`QR code unavailable\n${url}`, left, top, size, size);
+  box.getBorder().getLineFill().setSolidFill(CONFIG.signs.primaryColor);
+  box.getText().getTextStyle().setFontSize(size > 150 ? 14 : 7);
+  box.getText().getParagraphStyle().setParagraphAlignment(SlidesApp.ParagraphAlignment.CENTER);
+  box.setContentAlignment(SlidesApp.ContentAlignment.MIDDLE);
+  return box;
+}
+
+/**
+ * Create the sign deck in the signs folder, from the template when one is configured.
+ * A deck from an earlier run with the same name is moved to the trash.
+ */
+function createSignDeck(event, name) {
+  const folderId = getOrCreateSubfolder(createFormsFolder(event), CONFIG.signs.folderName);
+  const folder = DriveApp.getFolderById(folderId);
+  
+  const existing = folder.getFilesByName(name);
+  while (existing.hasNext()) {
+    existing.next().setTrashed(true);
+    console.log(`🗑️  Replaced previous deck: ${name}`);
+  }
+  
+  if (CONFIG.signs.templateId) {
+    const copy = DriveApp.getFileById(CONFIG.signs.templateId).makeCopy(name, folder);
+    return SlidesApp.openById(copy.getId());
+  }
+  
+  const presentation = SlidesApp.create(name);
+  moveFileToFolder(presentation.getId(), folderId);
+  return presentation;
+}
+
+/**
+ * Append a blank slide with the event header band and logo
+ */
+function addSignSlide(presentation, logo, heading) {
+  const layout = presentation.getLayouts().find(l => l.getLayoutName() === CONFIG.signs.layoutName);
+  const slide = presentation.appendSlide(layout || SlidesApp.PredefinedLayout.BLANK);
+  
+  const width = presentation.getPageWidth();
+  const band = slide.insertShape(SlidesApp.ShapeType.RECTANGLE, 0, 0, width, 60);
+  band.getFill().setSolidFill(CONFIG.signs.primaryColor);
+  band.getBorder().setTransparent();
+  
+  const title = slide.insertTextBox(heading, 20, 8, width - 140, 44);
+  title.getText().getTextStyle().setBold(true).setFontSize(22).setForegroundColor('#ffffff');
+  title.setContentAlignment(SlidesApp.ContentAlignment.MIDDLE);
+  
+  if (logo) {
+    slide.insertImage(logo, width - 110, 5, 100, 50);
+  }
+  
+  return slide;
+}
+
+/**
+ * The logo image from Drive, or null when it cannot be found
+ */
+function getSignLogo() {
+  return findDriveImage(CONFIG.signs.logoFileName, 'signs');
+}
+
+/**
+ * An image from Drive by file name, or null (with a warning) when it is not there
+ */
+function findDriveImage(fileName, usedFor) {
+  if (!fileName) {
+    return null;
+  }
+  
+  const files = DriveApp.getFilesByName(fileName);
+  if (!files.hasNext()) {
+    console.warn(`⚠️  Image "${fileName}" not found in Drive, ${usedFor} are built without it`);
+    return null;
+  }
+  
+  return files.next().getBlob();
+}
+
+/**
+ * Sign for one session: details on the left, QR code on the right
+ */
+function addSessionSignSlide(event, presentation, logo, result, qrCode) {
+  const slide = addSignSlide(presentation, logo, event.displayName);
+  const width = presentation.getPageWidth();
+  const height = presentation.getPageHeight();
+  const qrSize = height - 140;
+  const textWidth = width - qrSize - 70;
+  
+  const title = slide.insertTextBox(result.sessionTitle, 20, 75, textWidth, 120);
+  title.getText().getTextStyle().setBold(true)
+    .setFontSize(result.sessionTitle.length > 70 ? 22 : 28)
+    .setForegroundColor(CONFIG.signs.primaryColor);
+    
+  const details = [
+    result.speaker,
+    result.room,
+    result.startTime ? formatSessionTimeRange(event, { startsAt: result.startTime, endsAt: result.endTime }) : ''
+  ].filter(line => line).join('\n');
+  const detailsBox = slide.insertTextBox(details, 20, 205, textWidth, height - 265);
+  detailsBox.getText().getTextStyle().setFontSize(18);
+  
+  insertQrCode(slide, qrCode, result.formUrl, width - qrSize - 30, 75, qrSize);
+  
+  addSignFooter(slide, presentation, CONFIG.signs.callToAction);
+  return slide;
+}
+
+/**
+ * Sheet for one room: a grid with the time, title and QR code of each session
+ */
+function addRoomSignSlide(event, presentation, logo, room, results, qrCodes) {
+  const slide = addSignSlide(presentation, logo, room);
+  const width = presentation.getPageWidth();
+  const height = presentation.getPageHeight();
+  
+  const rows = results.length > 8 ? 3 : results.length > 4 ? 2 : 1;
+  const columns = Math.ceil(results.length / rows);
+  const cellWidth = (width - 40) / columns;
+  const cellHeight = (height - 120) / rows;
+  const qrSize = Math.max(Math.min(cellWidth - 20, cellHeight - 50), 40);
+  
+  results.forEach((result, index) => {
+    const left = 20 + (index % columns) * cellWidth;
+    const top = 70 + Math.floor(index / columns) * cellHeight;
+    const time = result.startTime ? formatSessionTimeRange(event, { startsAt: result.startTime, endsAt: result.endTime }) : 'TBD';
+    const title = result.sessionTitle.length > 60 ? `${result.sessionTitle.substring(0, 57)}...` : result.sessionTitle;
+    
+    const label = slide.insertTextBox(`${time}\n${title}`, left, top, cellWidth - 10, 45);
+    label.getText().getTextStyle().setFontSize(rows > 1 ? 8 : 10);
+    label.getText().getRange(0, time.length).getTextStyle().setBold(true)
+      .setForegroundColor(CONFIG.signs.primaryColor);
+      
+    insertQrCode(slide, qrCodes[index], result.formUrl, left + (cellWidth - 10 - qrSize) / 2, top + 45, qrSize);
+  });
+  
+  addSignFooter(slide, presentation, `${event.displayName} · ${CONFIG.signs.callToAction}`);
+  return slide;
+}
+
+/**
+ * Footer band with the call to action
+ */
+function addSignFooter(slide, presentation, text) {
+  const width = presentation.getPageWidth();
+  const height = presentation.getPageHeight();
+  
+  const band = slide.insertShape(SlidesApp.ShapeType.RECTANGLE, 0, height - 40, width, 40);
+  band.getFill().setSolidFill(CONFIG.signs.secondaryColor);
+  band.getBorder().setTransparent();
+  
+  const footer = slide.insertTextBox(text, 20, height - 38, width - 40, 36);
+  footer.getText().getTextStyle().setBold(true).setFontSize(16).setForegroundColor(CONFIG.signs.primaryColor);
+  footer.getText().getParagraphStyle().setParagraphAlignment(SlidesApp.ParagraphAlignment.CENTER);
+  footer.setContentAlignment(SlidesApp.ContentAlignment.MIDDLE);
+}
+
+/**
+ * Web app entry point: the feedback landing page.
+ * Without parameters it shows every room; ?room=<name> shows one room and
+ * ?event=<id> picks an event other than the active one. Sessions happening now
+ * and those that just ended (in the event timezone) are listed first.
+ * ?format=json returns the session API instead (see handleApiRequest).
+ */
+function doGet(e) {
+  const parameters = (e && e.parameter) || {};
+  
+  if (parameters.format === 'json') {
+    return handleApiRequest(parameters);
+  }
+  
+  try {
+    const event = resolveEvent(parameters.event);
+    const sessions = getLandingPageSessions(event);
+    const now = new Date();
+    const baseUrl = ScriptApp.getService().getUrl();
+    
+    const html = parameters.room ?
+      renderRoomPage(event, parameters.room, sessions, now, baseUrl) :
+      renderLandingIndex(event, sessions, now, baseUrl);
+      
+    return HtmlService.createHtmlOutput(html)
+      .setTitle(`${event.displayName} - Session Feedback`)
+      .addMetaTag('viewport', 'width=device-width, initial-scale=1.0');
+      
+  } catch (error) {
+    console.error('💥 Fatal error in feedback landing page:', error);
+    return HtmlService.createHtmlOutput(
+      `<p>Sorry, the session feedback page is not available right now: ${escapeHtml(error.message)}</p>`);
+  }
+}
+
+/**
+ * Sessions with their feedback form link, from the form manifest, sorted by start time
+ */
+function getLandingPageSessions(event) {
+  const manifest = loadFormManifest(event);
+  
+  return Object.keys(manifest).map(sessionKey => {
+    const entry = manifest[sessionKey];
+    let formUrl = entry.formUrl;
+    
+    // Entries saved before form URLs were recorded
+    if (!formUrl) {
+      try {
+        formUrl = FormApp.openById(entry.formId).getPublishedUrl();
+      } catch (error) {
+        formUrl = '';
+      }
+    }
+    
+    return {
+      title: entry.title,
+      speaker: entry.speakers.map(s => s.name).join(', '),
+      room: CONFIG.webApp.preconRooms.indexOf(entry.room) !== -1 ? CONFIG.webApp.preconRoomName : entry.room,
+      startsAt: entry.startsAt,
+      endsAt: entry.endsAt,
+      formUrl: formUrl
+    };
+  }).sort((a, b) => compareByFields(a, b, ['startsAt', 'title']));
+}
+
+/**
+ * Whether a session is happening now ('now'), just ended ('ended') or neither ('')
+ */
+function getSessionStatus(event, session, now) {
+  const startsAt = parseSessionTime(event, session.startsAt);
+  if (!startsAt) {
+    return '';
+  }
+  
+  const endsAt = parseSessionTime(event, session.endsAt) ||
+    new Date(startsAt.getTime() + CONFIG.formSchedule.defaultDurationMinutes * 60 * 1000);
+    
+  if (now >= startsAt && now < endsAt) {
+    return 'now';
+  }
+  if (now >= endsAt && now < new Date(endsAt.getTime() + CONFIG.webApp.justEndedMinutes * 60 * 1000)) {
+    return 'ended';
+  }
+  return '';
+}
+
+/**
+ * Main landing page: happening now / just ended, then one card per room
+ */
+function renderLandingIndex(event, sessions, now, baseUrl) {
+  const rooms = {};
+  sessions.forEach(session => {
+    (rooms[session.room] = rooms[session.room] || []).push(session);
+  });
+  
+  // Precons first, then rooms by name
+  const roomNames = Object.keys(rooms).sort((a, b) => {
+    if (a === CONFIG.webApp.preconRoomName || b === CONFIG.webApp.preconRoomName) {
+      return a === CONFIG.webApp.preconRoomName ? -1 : 1;
+    }
+    return a.localeCompare(b);
+  });
+  
+  const nowSessions = sessions.filter(session => getSessionStatus(event, session, now) === 'now');
+  const endedSessions = sessions.filter(session => getSessionStatus(event, session, now) === 'ended');
+  
+  const html = [renderPageHeader(event, 'Session Feedback Forms',
+    `<div class="stats"><div class="stat"><div class="stat-number">${roomNames.length}</div><div class="stat-label">Rooms</div></div>` +
+    `<div class="stat"><div class="stat-number">${sessions.length}</div><div class="stat-label">Sessions</div></div></div>`)];
+    
+  html.push(renderLiveSessions(event, nowSessions, endedSessions, now));
+  
+  html.push('<div class="room-grid">');
+  roomNames.forEach(room => {
+    const isPrecon = room === CONFIG.webApp.preconRoomName;
+    html.push(`<div class="room-card ${isPrecon ? 'precon-card' : 'regular-card'}">`);
+    html.push(`<h2 class="${isPrecon ? 'precon-header' : ''}"><a href="${escapeHtml(`${baseUrl}?room=${encodeURIComponent(room)}&event=${encodeURIComponent(event.id)}`)}">` +
+      `${isPrecon ? '🎯 ' : ''}${escapeHtml(room)}</a></h2>`);
+    rooms[room].forEach(session => {
+      html.push(renderSessionItem(event, session, getSessionStatus(event, session, now)));
+    });
+    html.push('</div>');
+  });
+  html.push('</div>');
+  
+  html.push(renderPageFooter(event, now));
+  return html.join('\n');
+}
+
+/**
+ * Page for one room with all of its sessions in time order
+ */
+function renderRoomPage(event, room, sessions, now, baseUrl) {
+  const roomSessions = sessions.filter(session => session.room === room);
+  
+  const html = [renderPageHeader(event, room,
+    `<a class="back-link" href="${escapeHtml(`${baseUrl}?event=${encodeURIComponent(event.id)}`)}">← Back to All Rooms</a>`)];
+    
+  if (roomSessions.length === 0) {
+    html.push(`<p class="empty">No sessions with feedback forms in ${escapeHtml(room)}.</p>`);
+  }
+  
+  html.push('<div class="room-card regular-card">');
+  roomSessions.forEach(session => {
+    html.push(renderSessionItem(event, session, getSessionStatus(event, session, now)));
+  });
+  html.push('</div>');
+  
+  html.push(renderPageFooter(event, now));
+  return html.join('\n');
+}
+
+/**
+ * The "Happening now" and "Just ended" lists (nothing when no session qualifies)
+ */
+function renderLiveSessions(event, nowSessions, endedSessions, now) {
+  if (nowSessions.length === 0 && endedSessions.length === 0) {
+    return '';
+  }
+  
+  const html = ['<div class="live">'];
+  [['🟢 Happening now', nowSessions, 'now'], ['⏱️ Just ended', endedSessions, 'ended']].forEach(([heading, list, status]) => {
+    if (list.length > 0) {
+      html.push(`<h2>${heading}</h2>`);
+      list.forEach(session => html.push(renderSessionItem(event, session, status, true)));
+    }
+  });
+  html.push(`<p class="as-of">As of ${escapeHtml(formatEventDateTime(event, now))}</p>`);
+  html.push('</div>');
+  
+  return html.join('\n');
+}
+
+/**
+ * One session with its time, speakers, room (optional) and feedback link
+ */
+function renderSessionItem(event, session, status, showRoom) {
+  const time = session.startsAt ? formatSessionTimeRange(event, session) : 'Time TBD';
+  const badge = status === 'now' ? ' <span class="badge badge-now">Now</span>' :
+    status === 'ended' ? ' <span class="badge badge-ended">Just ended</span>' : '';
+  const link = session.formUrl ?
+    `<a href="${escapeHtml(session.formUrl)}" class="feedback-link" target="_blank" rel="noopener">📝 Give Feedback</a>` :
+    '<span class="feedback-link placeholder-link">Feedback Form Coming Soon</span>';
+    
+  return `<div class="session-item${status ? ` session-${status}` : ''}">` +
+    `<div class="session-title">${escapeHtml(session.title)}${badge}</div>` +
+    `<div class="session-speaker">by ${escapeHtml(session.speaker)} · ${escapeHtml(time)}` +
+    `${showRoom ? ` · ${escapeHtml(session.room)}` : ''}</div>${link}</div>`;
+}
+
+/**
+ * Page start with styles and the header banner
+ */
+function renderPageHeader(event, subtitle, extra) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<base target="_top">
+<meta charset="UTF-8">
+<style>
+  body { font-family: Arial, sans-serif; max-width: 1400px; margin: 0 auto; padding: 15px; background: #f8f9fa; font-size: 14px; }
+  .header { text-align: center; background: #2F5233; color: white; padding: 20px; border-radius: 8px; margin-bottom: 20px; }
+  .header h1 { margin: 0; font-size: 1.8em; }
+  .header p { margin: 8px 0; font-size: 1em; opacity: 0.9; }
+  .header a { color: white; }
+  .stats { display: flex; justify-content: center; gap: 25px; margin: 15px 0; }
+  .stat { text-align: center; }
+  .stat-number { font-size: 1.4em; font-weight: bold; }
+  .stat-label { font-size: 0.8em; opacity: 0.8; }
+  .live { background: white; border: 2px solid #8FBC8F; border-radius: 8px; padding: 15px; margin-bottom: 20px; }
+  .live h2 { margin: 0 0 10px 0; font-size: 1.2em; color: #2F5233; }
+  .as-of { color: #666; font-size: 0.8em; margin: 8px 0 0 0; }
+  .room-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 15px; }
+  .room-card { background: white; border-radius: 6px; padding: 15px; box-shadow: 0 2px 6px rgba(0,0,0,0.1); }
+  .precon-card { border-left: 4px solid #dc3545; }
+  .regular-card { border-left: 4px solid #28a745; }
+  .room-card h2 { margin: 0 0 12px 0; font-size: 1.1em; border-bottom: 1px solid #eee; padding-bottom: 6px; }
+  .room-card h2 a { color: #333; text-decoration: none; }
+  .precon-header a { color: #dc3545; }
+  .session-item { margin-bottom: 8px; padding: 8px; background: #f8f9fa; border-radius: 4px; }
+  .session-now { background: #e8f5e9; }
+  .session-title { font-weight: bold; color: #333; margin-bottom: 2px; font-size: 0.95em; line-height: 1.2; }
+  .session-speaker { color: #666; font-size: 0.8em; margin-bottom: 6px; }
+  .badge { font-size: 0.75em; padding: 1px 6px; border-radius: 8px; color: white; vertical-align: middle; }
+  .badge-now { background: #28a745; }
+  .badge-ended { background: #6c757d; }
+  .feedback-link { display: inline-block; background: #28a745; color: white; padding: 4px 8px; text-decoration: none; border-radius: 3px; font-size: 0.8em; }
+  .feedback-link:hover { background: #218838; }
+  .placeholder-link { background: #6c757d; cursor: not-allowed; }
+  .back-link { display: inline-block; margin-top: 8px; font-weight: bold; }
+  .footer { text-align: center; margin-top: 20px; padding: 15px; background: white; border-radius: 6px; font-size: 0.9em; }
+</style>
+</head>
+<body>
+<div class="header">
+<h1>${escapeHtml(event.displayName)}</h1>
+<p>${escapeHtml(subtitle)}</p>
+${extra}
+</div>`;
+}
+
+/**
+ * Page end with the footer
+ */
+function renderPageFooter(event, now) {
+  return `<div class="footer">
+<p>Your feedback helps speakers improve and helps us plan better events.</p>
+<p><small>Updated ${escapeHtml(formatEventDateTime(event, now))}</small></p>
+</div>
+</body>
+</html>`;
+}
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Read-only JSON API for external tools:
+ *   ?format=json&token=<API_TOKEN>[&event=<id>][&room=<name>][&sessionId=<id>]
+ * Returns every session in the form manifest with its Sessionize id, room, times,
+ * speakers, form URL, whether the form accepts responses, template and response count.
+ * The token is the API_TOKEN Script Property (see createApiToken); without it the API is off.
+ */
+function handleApiRequest(parameters) {
+  const token = PropertiesService.getScriptProperties().getProperty('API_TOKEN');
+  
+  if (!token || parameters.token !== token) {
+    console.warn('⚠️  Rejected API request with a missing or wrong token');
+    return createJsonOutput({ error: 'Unauthorized' });
+  }
+  
+  try {
+    const event = resolveEvent(parameters.event);
+    const manifest = loadFormManifest(event);
+    
+    const sessions = Object.keys(manifest)
+      .map(sessionKey => buildApiSession(manifest[sessionKey]))
+      .filter(session => !parameters.room || session.room === parameters.room)
+      .filter(session => !parameters.sessionId || String(session.sessionId) === parameters.sessionId)
+      .sort((a, b) => compareByFields(a, b, ['startsAt', 'title']));
+      
+    const eventForm = getEventFeedbackForm(event);
+    
+    return createJsonOutput({
+      event: {
+        id: event.id,
+        name: event.displayName,
+        sessionizeId: event.sessionizeId,
+        timeZone: event.timeZone
+      },
+      generatedAt: new Date().toISOString(),
+      eventForm: eventForm ? {
+        formId: eventForm.getId(),
+        formUrl: eventForm.getPublishedUrl(),
+        status: eventForm.isAcceptingResponses() ? 'open' : 'closed',
+        responseCount: eventForm.getResponses().length
+      } : null,
+      count: sessions.length,
+      sessions: sessions
+    });
+    
+  } catch (error) {
+    console.error('💥 Fatal error in session API:', error);
+    return createJsonOutput({ error: error.message });
+  }
+}
+
+/**
+ * API record for one manifest entry. Forms that can no longer be opened are
+ * reported with status 'missing'.
+ */
+function buildApiSession(entry) {
+  const session = {
+    sessionId: entry.sessionId,
+    title: entry.title,
+    room: entry.room,
+    startsAt: entry.startsAt,
+    endsAt: entry.endsAt,
+    speakers: entry.speakers.map(s => s.name),
+    template: entry.template || CONFIG.questionTemplates.defaultTemplate,
+    formId: entry.formId,
+    formUrl: entry.formUrl || '',
+    status: 'missing',
+    responseCount: 0
+  };
+  
+  try {
+    const form = FormApp.openById(entry.formId);
+    session.formUrl = form.getPublishedUrl();
+    session.status = form.isAcceptingResponses() ? 'open' : 'closed';
+    session.responseCount = form.getResponses().length;
+  } catch (error) {
+    console.warn(`Warning: Form for "${entry.title}" could not be opened`);
+  }
+  
+  return session;
+}
+
+/**
+ * Serve an object as JSON
+ */
+function createJsonOutput(data) {
+  return ContentService.createTextOutput(JSON.stringify(data))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Create (or replace) the shared token for the JSON API and log it
+ */
+function createApiToken() {
+  const token = Utilities.getUuid().replace(/-/g, '');
+  PropertiesService.getScriptProperties().setProperty('API_TOKEN', token);
+  console.log(`🔑 New API token: ${token}`);
+  console.log('Share it only with the tools that need it; running this again replaces it.');
+  return token;
+}
+
+/**
+ * Main function to build the analytics dashboard: average score and response count
+ * per track, level, session format, room and timeslot, each as a table with a chart.
+ * The dashboard tab is rebuilt from scratch every time this runs.
+ */
+function buildFeedbackDashboard(event) {
+  event = resolveEvent(event);
+  
+  try {
+    console.log(`📈 Building ${event.label} feedback dashboard...`);
+    
+    const feedback = excludeJunkResponses(event, collectFeedbackResponses(event));
+    console.log(`✓ Collected ${feedback.responses.length} responses from ${feedback.forms.length} forms`);
+    
+    const sessionLookup = buildDashboardSessionLookup(event);
+    const dimensions = CONFIG.dashboard.categories.map(category => ({
+      name: category,
+      valuesFor: session => {
+        const details = findDashboardSession(sessionLookup, session);
+        const values = details && details.categories ? details.categories[category] || [] : [];
+        return values.length > 0 ? values : ['(none)'];
+      }
+    })).concat([
+      { name: 'Room', valuesFor: session => [session.room || '(none)'] },
+      { name: 'Timeslot', valuesFor: session => [session.startsAt || ''], isTime: true }
+    ]);
+    
+    const spreadsheet = getOrCreateSpreadsheet(event, event.feedbackSpreadsheetName);
+    const sheet = spreadsheet.getSheetByName(CONFIG.dashboard.sheetName) || spreadsheet.insertSheet(CONFIG.dashboard.sheetName);
+    sheet.getCharts().forEach(chart => sheet.removeChart(chart));
+    sheet.clear();
+    
+    sheet.getRange(1, 1, 1, 2).setValues([[`${event.label} - Feedback Dashboard`, `Updated ${formatEventDateTime(event, new Date())}`]]);
+    sheet.getRange(1, 1).setFontWeight('bold').setFontSize(14);
+    
+    let row = 3;
+    dimensions.forEach(dimension => {
+      const rows = summarizeFeedbackBy(event, feedback, dimension);
+      row = writeDashboardSection(sheet, row, dimension.name, rows);
+      console.log(`✓ ${dimension.name}: ${rows.length} groups`);
+    });
+    
+    console.log(`\n🎉 Dashboard completed: ${spreadsheet.getUrl()}`);
+    return {
+      success: true,
+      totalResponses: feedback.responses.length,
+      spreadsheetUrl: spreadsheet.getUrl()
+    };
+    
+  } catch (error) {
+    console.error('💥 Fatal error in dashboard generation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Current Sessionize sessions by id and by title, for looking up categories
+ */
+function buildDashboardSessionLookup(event) {
+  const lookup = { byId: {}, byTitle: {} };
+  
+  fetchSessionData(event).forEach(session => {
+    if (session.id) {
+      lookup.byId[String(session.id)] = session;
+    }
+    lookup.byTitle[session.title] = session;
+  });
+  
+  return lookup;
+}
+
+/**
+ * The Sessionize session for a feedback session (manifest entries carry sessionId,
+ * sessions from Sessionize carry id), or null when it is no longer in the data
+ */
+function findDashboardSession(lookup, session) {
+  const id = session.sessionId || session.id;
+  return (id && lookup.byId[String(id)]) || lookup.byTitle[session.title] || null;
+}
+
+/**
+ * Group sessions by one dimension and total their responses. A session with
+ * several values (e.g. two tracks) counts towards each of them.
+ */
+function summarizeFeedbackBy(event, feedback, dimension) {
+  const groups = {};
+  
+  feedback.forms.forEach(({ formId, session }) => {
+    const responses = feedback.responses.filter(r => r.formId === formId);
+    
+    dimension.valuesFor(session).forEach(value => {
+      if (!groups[value]) {
+        groups[value] = { value: value, sessions: 0, responses: 0, scores: [] };
+      }
+      groups[value].sessions++;
+      groups[value].responses += responses.length;
+      responses.forEach(response => {
+        Object.values(response.ratings).forEach(score => {
+          if (score !== null) {
+            groups[value].scores.push(score);
+          }
+        });
+      });
+    });
+  });
+  
+  return Object.keys(groups)
+    .sort((a, b) => a.localeCompare(b))
+    .map(key => [
+      dimension.isTime ? (key ? formatSessionTimeRange(event, { startsAt: key }) : 'Time TBD') : key,
+      groups[key].sessions,
+      groups[key].responses,
+      calculateMean(groups[key].scores)
+    ]);
+}
+
+/**
+ * Write one dashboard table with a chart of its average score and response count
+ * beside it. Returns the row where the next section starts.
+ */
+function writeDashboardSection(sheet, startRow, name, rows) {
+  const headers = [name, 'Sessions', 'Responses', 'Average Score'];
+  
+  sheet.getRange(startRow, 1).setValue(`By ${name}`).setFontWeight('bold').setFontSize(12);
+  sheet.getRange(startRow + 1, 1, 1, headers.length).setValues([headers])
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('white');
+    
+  if (rows.length > 0) {
+    sheet.getRange(startRow + 2, 1, rows.length, headers.length).setValues(rows);
+    
+    const chart = sheet.newChart()
+      .setChartType(Charts.ChartType.COLUMN)
+      .addRange(sheet.getRange(startRow + 1, 1, rows.length + 1, 1))
+      .addRange(sheet.getRange(startRow + 1, 3, rows.length + 1, 2))
+      .setNumHeaders(1)
+      .setPosition(startRow, headers.length + 2, 0, 0)
+      .setOption('title', `Average score and responses by ${name}`)
+      .setOption('series', { 0: { targetAxisIndex: 1 }, 1: { targetAxisIndex: 0 } })
+      .setOption('vAxes', { 0: { title: 'Average score', minValue: 0 }, 1: { title: 'Responses', minValue: 0 } })
+      .setOption('width', 600)
+      .setOption('height', 300)
+      .build();
+    sheet.insertChart(chart);
   } else {
-    return DriveApp.createFolder(CONFIG.folderName).getId();
+    sheet.getRange(startRow + 2, 1).setValue('No sessions');
+  }
+  
+  // Leave room for the chart (about 16 rows tall) before the next section
+  return startRow + Math.max(rows.length + 4, 18);
+}
+
+/**
+ * Questions of the raffle form. The raffle code is filled in by the link in each
+ * session form's confirmation message.
+ */
+function getRaffleQuestions() {
+  return [
+    { type: 'text', title: CONFIG.raffle.codeQuestion, helpText: CONFIG.raffle.codeHelpText, required: true },
+    { type: 'text', title: CONFIG.raffle.nameQuestion, required: false },
+    {
+      type: 'text',
+      title: CONFIG.raffle.emailQuestion,
+      required: true,
+      validation: { type: 'email', helpText: 'Please enter a valid email address' }
+    }
+  ];
+}
+
+/**
+ * The raffle form, or null when it has not been created (or was deleted)
+ */
+function getRaffleForm(event) {
+  const formId = PropertiesService.getScriptProperties().getProperty(`raffleform:${event.id}`);
+  if (!formId) {
+    return null;
+  }
+  
+  try {
+    return DriveApp.getFileById(formId).isTrashed() ? null : FormApp.openById(formId);
+  } catch (error) {
+    console.warn('Warning: The raffle form is no longer available:', error);
+    return null;
+  }
+}
+
+/**
+ * The raffle form, created in the Raffle subfolder of the forms folder on first use
+ */
+function getOrCreateRaffleForm(event, folderId) {
+  const existing = getRaffleForm(event);
+  if (existing) {
+    return existing;
+  }
+  
+  const form = FormApp.create(event.raffleFormName);
+  moveFileToFolder(form.getId(), getOrCreateSubfolder(folderId, CONFIG.raffle.folderName));
+  form.setDescription(fillEventText(event, CONFIG.raffle.formDescription));
+  addQuestionItems(form, getRaffleQuestions(), false);
+  form.setCollectEmail(false);
+  form.setLimitOneResponsePerUser(false);
+  
+  PropertiesService.getScriptProperties().setProperty(`raffleform:${event.id}`, form.getId());
+  console.log(`🎟️ Created raffle form: ${form.getPublishedUrl()}`);
+  return form;
+}
+
+/**
+ * Random code that ties raffle entries to one session's feedback form
+ */
+function createRaffleCode() {
+  return Utilities.getUuid().replace(/-/g, '').substring(0, 12).toUpperCase();
+}
+
+/**
+ * Link to the raffle form with a session's raffle code already filled in
+ */
+function buildRaffleEntryUrl(raffleForm, raffleCode) {
+  const item = raffleForm.getItems().find(i => i.getTitle() === CONFIG.raffle.codeQuestion);
+  return raffleForm.createResponse()
+    .withItemResponse(item.asTextItem().createResponse(raffleCode))
+    .toPrefilledUrl();
+}
+
+/**
+ * Main function to draw the sponsor raffle.
+ * Entrants are collected from the raffle form and merged by email address, with one
+ * entry per session raffle code they entered. Each prize is
+ * drawn from a SHA-256 hash of the seed and the draw number, so anyone with the seed
+ * and the Entrants tab can repeat the drawing. Pass the seed of an earlier drawing
+ * to reproduce it; without one a new seed is generated and recorded.
+ */
+function drawRaffleWinners(event, seed) {
+  event = resolveEvent(event);
+  
+  try {
+    console.log(`🎟️ Drawing ${event.label} sponsor raffle...`);
+    
+    const entrants = collectRaffleEntrants(event);
+    const totalEntries = entrants.reduce((total, entrant) => total + entrant.entries, 0);
+    console.log(`✓ ${entrants.length} entrants with ${totalEntries} entries`);
+    
+    if (entrants.length === 0) {
+      console.warn('⚠️  No raffle entries yet - nothing to draw');
+      return { success: false, entrants: 0, winners: [] };
+    }
+    
+    seed = seed ? String(seed) : Utilities.getUuid();
+    const drawnAt = new Date();
+    const winners = drawRafflePrizes(entrants, seed);
+    
+    const spreadsheet = getOrCreateSpreadsheet(event, event.raffleSpreadsheetName);
+    writeRaffleEntrants(spreadsheet, entrants);
+    appendRaffleDrawing(spreadsheet, winners, seed, drawnAt);
+    
+    winners.forEach(winner => {
+      console.log(`🏆 ${winner.tier} - ${winner.prize}: ${winner.entrant ? winner.entrant.name || winner.entrant.email : '(no entrants left)'}`);
+    });
+    console.log(`\n🎉 Raffle drawn with seed ${seed}`);
+    console.log(`📋 Raffle spreadsheet: ${spreadsheet.getUrl()}`);
+    
+    return {
+      success: true,
+      seed: seed,
+      entrants: entrants.length,
+      totalEntries: totalEntries,
+      winners: winners.map(winner => ({
+        tier: winner.tier,
+        prize: winner.prize,
+        name: winner.entrant ? winner.entrant.name : '',
+        email: winner.entrant ? winner.entrant.email : ''
+      })),
+      spreadsheetUrl: spreadsheet.getUrl()
+    };
+    
+  } catch (error) {
+    console.error('💥 Fatal error in raffle drawing:', error);
+    throw error;
+  }
+}
+
+/**
+ * Everyone who entered the raffle, merged by email address (case-insensitive) and
+ * sorted by it. Each session's raffle code counts once per entrant, and only codes of
+ * feedback forms (current or archived) count.
+ */
+function collectRaffleEntrants(event) {
+  const raffleForm = getRaffleForm(event);
+  if (!raffleForm) {
+    return [];
+  }
+  
+  const raffleCodes = {};
+  Object.values(loadFormManifest(event)).forEach(entry => {
+    if (entry.raffleCode) {
+      raffleCodes[entry.raffleCode] = true;
+    }
+  });
+  Object.values(loadArchivedForms(event)).forEach(record => {
+    if (record.entry && record.entry.raffleCode) {
+      raffleCodes[record.entry.raffleCode] = true;
+    }
+  });
+  
+  const entrantsByEmail = {};
+  let ignored = 0;
+  
+  raffleForm.getResponses().forEach(response => {
+    const contact = readRaffleContact(response);
+    if (!contact || !raffleCodes[contact.code]) {
+      ignored++;
+      return;
+    }
+    
+    const key = contact.email.toLowerCase();
+    const entrant = entrantsByEmail[key] || (entrantsByEmail[key] = { email: contact.email, name: '', codes: [] });
+    if (!entrant.name && contact.name) {
+      entrant.name = contact.name;
+    }
+    if (entrant.codes.indexOf(contact.code) === -1) {
+      entrant.codes.push(contact.code);
+    }
+  });
+  
+  if (ignored > 0) {
+    console.warn(`⚠️  Ignored ${ignored} raffle responses without a valid email or a known raffle code`);
+  }
+  
+  return Object.keys(entrantsByEmail).sort().map(key => {
+    const entrant = entrantsByEmail[key];
+    return { email: entrant.email, name: entrant.name, entries: entrant.codes.length };
+  });
+}
+
+/**
+ * The raffle code, name and email from one raffle response, or null when no valid email was given
+ */
+function readRaffleContact(response) {
+  const answers = {};
+  response.getItemResponses().forEach(itemResponse => {
+    answers[itemResponse.getItem().getTitle()] = itemResponse.getResponse();
+  });
+  
+  const email = String(answers[CONFIG.raffle.emailQuestion] || '').trim();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return null;
+  }
+  
+  return {
+    code: String(answers[CONFIG.raffle.codeQuestion] || '').trim().toUpperCase(),
+    email: email,
+    name: String(answers[CONFIG.raffle.nameQuestion] || '').trim()
+  };
+}
+
+/**
+ * Draw every prize of every tier in order. Entrants hold consecutive ticket numbers
+ * in Entrants tab order; draw n picks ticket hash(seed:n) mod tickets left. Unless
+ * allowMultipleWins is set, a winner's tickets are removed before the next draw.
+ */
+function drawRafflePrizes(entrants, seed) {
+  const pool = entrants.slice();
+  const winners = [];
+  let drawNumber = 0;
+  
+  CONFIG.raffle.tiers.forEach(tier => {
+    tier.prizes.forEach(prize => {
+      drawNumber++;
+      const totalTickets = pool.reduce((total, entrant) => total + entrant.entries, 0);
+      const winner = { draw: drawNumber, tier: tier.name, prize: prize, ticketsInDraw: totalTickets, entrant: null, ticket: null, hash: '' };
+      
+      if (totalTickets > 0) {
+        const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, `${seed}:${drawNumber}`, Utilities.Charset.UTF_8);
+        winner.hash = digest.map(b => ('0' + (b & 0xff).toString(16)).slice(-2)).join('');
+        // The first 6 bytes as a whole number stay within Number's exact integer range
+        winner.ticket = digest.slice(0, 6).reduce((value, b) => value * 256 + (b & 0xff), 0) % totalTickets + 1;
+        
+        let lastTicket = 0;
+        const index = pool.findIndex(entrant => {
+          lastTicket += entrant.entries;
+          return winner.ticket <= lastTicket;
+        });
+        winner.entrant = pool[index];
+        if (!CONFIG.raffle.allowMultipleWins) {
+          pool.splice(index, 1);
+        }
+      }
+      
+      winners.push(winner);
+    });
+  });
+  
+  return winners;
+}
+
+/**
+ * Replace the Entrants tab with the entrant list the drawing used, in ticket order
+ */
+function writeRaffleEntrants(spreadsheet, entrants) {
+  let lastTicket = 0;
+  const rows = entrants.map((entrant, index) => {
+    const firstTicket = lastTicket + 1;
+    lastTicket += entrant.entries;
+    return [index + 1, entrant.name, entrant.email, entrant.entries, firstTicket, lastTicket];
+  });
+  
+  writeTableToSheet(spreadsheet, 'Entrants', ['Entrant', 'Name', 'Email', 'Entries', 'First Ticket', 'Last Ticket'], rows);
+}
+
+/**
+ * Add the drawing's results to the Drawings tab, which keeps every drawing ever made
+ */
+function appendRaffleDrawing(spreadsheet, winners, seed, drawnAt) {
+  const headers = ['Drawn At', 'Seed', 'Draw', 'Tier', 'Prize', 'Ticket', 'Tickets in Draw', 'Winner', 'Email', 'SHA-256'];
+  let drawingSheet = spreadsheet.getSheetByName('Drawings');
+  
+  if (!drawingSheet) {
+    drawingSheet = spreadsheet.insertSheet('Drawings');
+    drawingSheet.getRange(1, 1, 1, headers.length).setValues([headers])
+      .setFontWeight('bold')
+      .setBackground('#4285f4')
+      .setFontColor('white');
+    drawingSheet.setFrozenRows(1);
   }
+  
+  winners.forEach(winner => {
+    drawingSheet.appendRow([
+      drawnAt,
+      seed,
+      winner.draw,
+      winner.tier,
+      winner.prize,
+      winner.ticket || '',
+      winner.ticketsInDraw,
+      winner.entrant ? winner.entrant.name : '(no entrants left)',
+      winner.entrant ? winner.entrant.email : '',
+      winner.hash
+    ]);
+    drawingSheet.getRange(drawingSheet.getLastRow(), 1).setNumberFormat(CONFIG.sheetDateFormat);
+  });
 }
 
 /**
- * Get list of existing forms in the folder to avoid duplicates
+ * Main function to check every response for duplicates and spam and list the
+ * suspicious ones on the review tab of the feedback workbook. Mark each one Keep
+ * or Junk in the Decision column; decisions are kept when the tab is refreshed.
+ * aggregateFeedbackResponses() also refreshes the tab.
  */
-function getExistingForms(folderId) {
+function reviewFeedbackResponses(event) {
+  event = resolveEvent(event);
+  
   try {
-    const folder = DriveApp.getFolderById(folderId);
-    const files = folder.getFilesByType(MimeType.GOOGLE_FORMS);
-    const forms = [];
+    console.log(`🔍 Reviewing ${event.label} feedback responses...`);
     
-    while (files.hasNext()) {
-      forms.push(files.next());
-    }
+    const feedback = collectFeedbackResponses(event);
+    console.log(`✓ Collected ${feedback.responses.length} responses from ${feedback.forms.length} forms`);
+    
+    const flagged = writeResponseReview(event, feedback);
+    
+    console.log(`\n🎉 Review completed: ${flagged} responses flagged`);
+    return {
+      success: true,
+      totalResponses: feedback.responses.length,
+      flaggedResponses: flagged
+    };
     
-    return forms;
   } catch (error) {
-    console.warn('Warning: Could not get existing forms, proceeding anyway:', error);
-    return [];
+    console.error('💥 Fatal error in response review:', error);
+    throw error;
   }
 }
 
 /**
- * Export results to Google Sheets
+ * Key that identifies one response record (event form responses cover several sessions)
+ */
+function getResponseKey(response) {
+  return `${response.formId}|${response.responseId}`;
+}
+
+/**
+ * Reasons each suspicious response was flagged, by response key
  */
-function exportResultsToSheet(results) {
-  // Create new spreadsheet
-  const sheet = SpreadsheetApp.create(CONFIG.spreadsheetName);
-  const worksheet = sheet.getActiveSheet();
-  worksheet.setName('Form Links');
+function findSuspiciousResponses(feedback) {
+  const settings = CONFIG.responseReview;
+  const textQuestions = getAllTextQuestions().map(q => q.title);
+  const reasons = {};
+  const flag = (response, reason) => {
+    const key = getResponseKey(response);
+    reasons[key] = reasons[key] || [];
+    if (reasons[key].indexOf(reason) === -1) {
+      reasons[key].push(reason);
+    }
+  };
   
-  // Add headers
-  const headers = ['Session Title', 'Speaker(s)', 'Room', 'Start Time', 'Form URL', 'Edit URL', 'Status'];
-  worksheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  feedback.forms.forEach(({ formId }) => {
+    const responses = feedback.responses.filter(r => r.formId === formId)
+      .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+      
+    // Bursts: identical submissions in quick succession
+    const bySubmission = {};
+    responses.forEach(response => {
+      const signature = JSON.stringify([response.ratings, response.comments, response.answers]);
+      (bySubmission[signature] = bySubmission[signature] || []).push(response);
+    });
+    Object.values(bySubmission).forEach(group => {
+      groupByTimeWindow(group, settings.burstWindowSeconds * 1000).forEach(burst => {
+        if (burst.length >= settings.burstMinResponses) {
+          burst.forEach(r => flag(r, `Burst of ${burst.length} identical submissions`));
+        }
+      });
+    });
+    
+    // Identical ratings without any comments, close together
+    const identicalMin = Math.max(settings.identicalMinResponses, Math.ceil(responses.length * settings.identicalMinShare));
+    const byRatings = {};
+    responses.filter(r => textQuestions.every(title => !String(r.comments[title] || '').trim()))
+      .forEach(response => {
+        const signature = JSON.stringify(response.ratings);
+        (byRatings[signature] = byRatings[signature] || []).push(response);
+      });
+    Object.values(byRatings).forEach(group => {
+      groupByTimeWindow(group, settings.identicalWindowMinutes * 60 * 1000).forEach(cluster => {
+        if (cluster.length >= identicalMin) {
+          cluster.forEach(r => flag(r, `Same ratings and no comments as ${cluster.length - 1} other responses within ${settings.identicalWindowMinutes} minutes`));
+        }
+      });
+    });
+    
+    // Gibberish comments
+    responses.forEach(response => {
+      textQuestions.forEach(title => {
+        if (isGibberishText(response.comments[title])) {
+          flag(response, `Gibberish answer to "${title}"`);
+        }
+      });
+    });
+  });
+  
+  return reasons;
+}
+
+/**
+ * Split time-ordered responses into runs that each fit within windowMs of their
+ * first response (so a steady trickle of responses never chains into one long run)
+ */
+function groupByTimeWindow(responses, windowMs) {
+  const runs = [];
+  
+  responses.forEach(response => {
+    const run = runs[runs.length - 1];
+    if (run && new Date(response.timestamp).getTime() - new Date(run[0].timestamp).getTime() <= windowMs) {
+      runs[runs.length - 1].push(response);
+    } else {
+      runs.push([response]);
+    }
+  });
+  
+  return runs;
+}
+
+/**
+ * Whether a comment looks like keyboard mashing: words without vowels, long runs
+ * of consonants or repeated letters, or rows of keys. Links are ignored.
+ */
+function isGibberishText(text) {
+  const cleaned = String(text || '').replace(/https?:\/\/\S+/gi, '').trim().toLowerCase();
+  if (cleaned.length < 5) {
+    return false;
+  }
+  
+  // Comments that are mostly symbols count only when they have some letters,
+  // so "10/10", "A+++++" and emoji-only praise are fine
+  const words = cleaned.match(/[a-z]+/g) || [];
+  const letters = words.join('').length;
+  if (letters >= 5 && letters < cleaned.replace(/\s/g, '').length / 2) {
+    return true;
+  }
+  
+  // Checked word by word, so runs across word boundaries ("first script") don't count,
+  // and only repeated letters count, so "Great talk!!!!!" is fine
+  return words.some(word =>
+    (word.length >= 6 && !/[aeiouy]/.test(word)) ||
+    /[bcdfghjklmnpqrstvwxz]{6,}/.test(word) ||
+    /([a-z])\1{4,}/.test(word) ||
+    /(qwert|asdfg|zxcvb|hjkl|yuiop)/.test(word));
+}
+
+/**
+ * Decisions already made on the review tab, by response key
+ */
+function loadReviewDecisions(spreadsheet) {
+  const worksheet = spreadsheet.getSheetByName(CONFIG.responseReview.sheetName);
+  const decisions = {};
+  
+  if (worksheet) {
+    worksheet.getDataRange().getValues().slice(1).forEach(([decision, , , , , , , responseId, formId]) => {
+      if (responseId && decision) {
+        decisions[`${formId}|${responseId}`] = String(decision).trim();
+      }
+    });
+  }
+  
+  return decisions;
+}
+
+/**
+ * Rewrite the review tab with every flagged response, plus any response that was
+ * already given a decision. Returns the number of flagged responses.
+ */
+function writeResponseReview(event, feedback) {
+  const spreadsheet = getOrCreateSpreadsheet(event, event.feedbackSpreadsheetName);
+  const decisions = loadReviewDecisions(spreadsheet);
+  const reasons = findSuspiciousResponses(feedback);
+  const ratingQuestions = getAllRatingQuestions();
+  const textQuestions = getAllTextQuestions().map(q => q.title);
+  const defaultDecision = CONFIG.responseReview.decisions[0];
   
-  // Add data
-  if (results.length > 0) {
-    const data = results.map(r => [
+  const rows = feedback.responses
+    .filter(r => reasons[getResponseKey(r)] || (decisions[getResponseKey(r)] && decisions[getResponseKey(r)] !== defaultDecision))
+    .map(r => [
+      decisions[getResponseKey(r)] || defaultDecision,
+      (reasons[getResponseKey(r)] || ['No longer flagged']).join('; '),
+      r.timestamp,
       r.sessionTitle,
-      r.speaker,
       r.room,
-      r.startTime,
-      r.formUrl,
-      r.editUrl,
-      r.status
+      ratingQuestions.filter(q => r.ratings[q] !== null).map(q => r.ratings[q]).join(' / '),
+      textQuestions.map(title => r.comments[title]).filter(comment => comment).join(' | '),
+      r.responseId,
+      r.formId
     ]);
     
-    worksheet.getRange(2, 1, data.length, headers.length).setValues(data);
+  const worksheet = writeTableToSheet(spreadsheet, CONFIG.responseReview.sheetName,
+    ['Decision', 'Reasons', 'Timestamp', 'Session Title', 'Room', 'Ratings', 'Comments', 'Response ID', 'Form ID'], rows);
+    
+  if (rows.length > 0) {
+    worksheet.getRange(2, 1, rows.length, 1).setDataValidation(SpreadsheetApp.newDataValidation()
+      .requireValueInList(CONFIG.responseReview.decisions, true)
+      .build());
+    worksheet.getRange(2, 3, rows.length, 1).setNumberFormat(CONFIG.sheetDateFormat);
   }
   
-  // Format the sheet
-  worksheet.getRange(1, 1, 1, headers.length)
-    .setFontWeight('bold')
-    .setBackground('#4285f4')
-    .setFontColor('white');
+  return Object.keys(reasons).length;
+}
+
+/**
+ * Drop the responses marked Junk on the review tab (unless excludeJunk is off)
+ */
+function excludeJunkResponses(event, feedback) {
+  if (!CONFIG.responseReview.excludeJunk) {
+    return feedback;
+  }
   
-  // Auto-resize columns
-  for (let i = 1; i <= headers.length; i++) {
-    worksheet.autoResizeColumn(i);
+  const decisions = loadReviewDecisions(getOrCreateSpreadsheet(event, event.feedbackSpreadsheetName));
+  const responses = feedback.responses.filter(r => decisions[getResponseKey(r)] !== 'Junk');
+  
+  if (responses.length < feedback.responses.length) {
+    console.log(`🗑️ Leaving out ${feedback.responses.length - responses.length} responses marked Junk`);
   }
   
-  // Add filter
-  worksheet.getRange(1, 1, results.length + 1, headers.length).createFilter();
+  return { forms: feedback.forms, responses: responses };
+}
+
+/**
+ * Sentiment score and themes of one comment (see CONFIG.commentAnalysis)
+ */
+function analyzeComment(text) {
+  const settings = CONFIG.commentAnalysis;
+  const normalized = String(text || '').toLowerCase().replace(/[’']/g, '');
+  const words = normalized.match(/[a-z][a-z-]*/g) || [];
   
-  // Add summary sheet
-  const summarySheet = sheet.insertSheet('Summary');
-  const successCount = results.filter(r => r.status === 'Created').length;
-  const failureCount = results.length - successCount;
+  let score = 0;
+  words.forEach((word, index) => {
+    const value = settings.lexicon[word];
+    if (value) {
+      const negated = words.slice(Math.max(0, index - 3), index).some(w => settings.negations.indexOf(w) !== -1);
+      score += negated ? -value : value;
+    }
+  });
   
-  summarySheet.getRange('A1:B6').setValues([
-    ['SQL Saturday 2025 - Form Generation Summary', ''],
-    ['Generated on:', new Date().toLocaleString()],
-    ['Total sessions:', results.length],
-    ['Forms created successfully:', successCount],
-    ['Forms failed:', failureCount],
-    ['Success rate:', `${Math.round((successCount / results.length) * 100)}%`]
-  ]);
+  const phrase = ` ${words.join(' ')} `;
+  const themes = Object.keys(settings.themes).filter(theme =>
+    settings.themes[theme].some(keyword => {
+      const prefix = keyword.slice(-1) === '*';
+      const term = prefix ? keyword.slice(0, -1) : keyword;
+      return phrase.indexOf(` ${term}${prefix ? '' : ' '}`) !== -1;
+    }));
+    
+  return { score: score, themes: themes };
+}
+
+/**
+ * Sentiment label for a whole response: Positive, Negative or Neutral ('' without comments)
+ */
+function getResponseSentiment(response) {
+  const commented = Object.keys(response.comments).filter(title => String(response.comments[title]).trim());
+  if (commented.length === 0) {
+    return '';
+  }
   
-  summarySheet.getRange('A1').setFontWeight('bold').setFontSize(14);
-  summarySheet.getRange('A2:A6').setFontWeight('bold');
+  const score = commented.reduce((total, title) => total + response.analysis[title].score, 0);
+  return score > 0 ? 'Positive' : (score < 0 ? 'Negative' : 'Neutral');
+}
+
+/**
+ * Every theme tagged in any comment of a response, in CONFIG.commentAnalysis order
+ */
+function getResponseThemes(response) {
+  return Object.keys(CONFIG.commentAnalysis.themes).filter(theme =>
+    Object.keys(response.analysis).some(title => response.analysis[title].themes.indexOf(theme) !== -1));
+}
+
+/**
+ * Write the Session Themes and Track Themes tabs: comment counts, sentiment and how
+ * many responses mention each theme, per session and per Sessionize track
+ */
+function exportThemeSummaries(event, feedback) {
+  const spreadsheet = getOrCreateSpreadsheet(event, event.feedbackSpreadsheetName);
+  const sessionLookup = buildDashboardSessionLookup(event);
+  const themes = Object.keys(CONFIG.commentAnalysis.themes);
+  const headers = ['Responses', 'With Comments', 'Positive', 'Neutral', 'Negative'].concat(themes);
+  const tracks = {};
   
-  console.log(`📊 Results exported to: ${sheet.getUrl()}`);
-  return sheet.getUrl();
+  const sessionRows = feedback.forms.map(({ formId, session }) => {
+    const responses = feedback.responses.filter(r => r.formId === formId);
+    const details = findDashboardSession(sessionLookup, session);
+    const sessionTracks = details && details.categories ? details.categories[CONFIG.commentAnalysis.trackCategory] || [] : [];
+    
+    (sessionTracks.length > 0 ? sessionTracks : ['(none)']).forEach(track => {
+      tracks[track] = (tracks[track] || []).concat(responses);
+    });
+    
+    return [session.title, session.room, sessionTracks.join(', ')].concat(summarizeThemes(responses, themes));
+  });
+  
+  const trackRows = Object.keys(tracks).sort().map(track => [track].concat(summarizeThemes(tracks[track], themes)));
+  
+  writeTableToSheet(spreadsheet, 'Session Themes', ['Session Title', 'Room', 'Track'].concat(headers), sessionRows);
+  writeTableToSheet(spreadsheet, 'Track Themes', ['Track'].concat(headers), trackRows);
 }
 
 /**
- * Test function to create just one form (for testing)
+ * Response count, sentiment counts and theme mention counts for a group of responses
  */
-function testCreateOneForm() {
+function summarizeThemes(responses, themes) {
+  const sentiments = responses.map(getResponseSentiment);
+  const responseThemes = responses.map(getResponseThemes);
+  
+  return [
+    responses.length,
+    sentiments.filter(sentiment => sentiment).length,
+    sentiments.filter(sentiment => sentiment === 'Positive').length,
+    sentiments.filter(sentiment => sentiment === 'Neutral').length,
+    sentiments.filter(sentiment => sentiment === 'Negative').length
+  ].concat(themes.map(theme => responseThemes.filter(list => list.indexOf(theme) !== -1).length));
+}
+
+/**
+ * Speaker profiles from the Sessionize Speakers view, by speaker id. Returns an empty
+ * lookup when the view cannot be fetched, so forms are still built without bios.
+ */
+function fetchSpeakerProfiles(event) {
   try {
-    console.log('🧪 Testing form creation with one session...');
+    const response = UrlFetchApp.fetch(event.sessionizeSpeakersUrl, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json'
+      },
+      muteHttpExceptions: true
+    });
     
-    // Get just the first session
-    const allSessions = fetchSessionData();
-    if (allSessions.length === 0) {
-      throw new Error('No sessions found');
+    if (response.getResponseCode() !== 200) {
+      throw new Error(`API request failed with status ${response.getResponseCode()}`);
     }
     
-    const testSession = allSessions[0];
-    console.log(`Testing with session: ${testSession.title}`);
-    
-    const folderId = createFormsFolder();
-    const form = createFeedbackForm(testSession, folderId);
-    
-    console.log(`✅ Test form created successfully!`);
-    console.log(`📝 Form URL: ${form.getPublishedUrl()}`);
-    console.log(`✏️  Edit URL: ${form.getEditUrl()}`);
+    const profiles = {};
+    JSON.parse(response.getContentText()).forEach(speaker => {
+      profiles[String(speaker.id)] = normalizeSpeakerProfile(speaker);
+    });
     
-    return {
-      success: true,
-      formUrl: form.getPublishedUrl(),
-      editUrl: form.getEditUrl(),
-      session: testSession
-    };
+    console.log(`✓ Fetched ${Object.keys(profiles).length} speaker profiles`);
+    return profiles;
     
   } catch (error) {
-    console.error('❌ Test failed:', error);
-    throw error;
+    console.warn('⚠️  Could not fetch speaker profiles, forms are built without bios:', error);
+    return {};
   }
 }
 
 /**
- * Utility function to get session count from API
+ * Name, tagline, bio and photo URL from a Sessionize speaker
  */
-function getSessionCount() {
-  const sessions = fetchSessionData();
-  console.log(`📊 Found ${sessions.length} sessions that need feedback forms`);
-  
-  // Group by room for summary
-  const roomCounts = {};
+function normalizeSpeakerProfile(speaker) {
+  return {
+    name: speaker.fullName || `${speaker.firstName} ${speaker.lastName}`.trim(),
+    tagLine: speaker.tagLine || '',
+    bio: speaker.bio || '',
+    profilePicture: speaker.profilePicture || ''
+  };
+}
+
+/**
+ * Fill in the profile of each session speaker that does not have one yet
+ */
+function attachSpeakerProfiles(sessions, profiles) {
   sessions.forEach(session => {
-    roomCounts[session.room] = (roomCounts[session.room] || 0) + 1;
+    session.speakers.forEach(speaker => {
+      const profile = profiles[String(speaker.id)];
+      if (profile && speaker.bio === undefined) {
+        speaker.tagLine = profile.tagLine;
+        speaker.bio = profile.bio;
+        speaker.profilePicture = profile.profilePicture;
+      }
+    });
   });
+}
+
+/**
+ * The banner image and an empty speaker photo cache, shared by the forms of a batch
+ */
+function loadFormBranding() {
+  return {
+    banner: findDriveImage(CONFIG.formBranding.bannerFileName, 'forms'),
+    photos: {}
+  };
+}
+
+/**
+ * Add the banner, one item per speaker (photo, tagline and bio) and the session
+ * abstract to the top of a new form
+ */
+function addFormHeaderItems(form, session, branding) {
+  const settings = CONFIG.formBranding;
   
-  console.log('📍 Sessions by room:');
-  Object.entries(roomCounts).forEach(([room, count]) => {
-    console.log(`   ${room}: ${count} sessions`);
+  if (branding.banner) {
+    form.addImageItem().setImage(branding.banner).setAlignment(FormApp.Alignment.CENTER);
+  }
+  
+  session.speakers.forEach(speaker => {
+    const about = [speaker.tagLine, truncateText(speaker.bio, settings.maxBioLength)]
+      .filter(text => text)
+      .join('\n\n');
+    const photo = getSpeakerPhoto(branding, speaker);
+    
+    if (photo) {
+      const item = form.addImageItem().setImage(photo).setTitle(speaker.name).setWidth(settings.speakerPhotoWidth);
+      if (about) {
+        item.setHelpText(about);
+      }
+    } else if (about) {
+      form.addSectionHeaderItem().setTitle(`About ${speaker.name}`).setHelpText(about);
+    }
   });
   
-  return sessions.length;
+  if (session.description) {
+    form.addSectionHeaderItem()
+      .setTitle('About this session')
+      .setHelpText(truncateText(session.description, settings.maxAbstractLength));
+  }
+}
+
+/**
+ * A speaker's photo, fetched the first time a batch needs it
+ */
+function getSpeakerPhoto(branding, speaker) {
+  const key = speaker.profilePicture || '';
+  if (!(key in branding.photos)) {
+    branding.photos[key] = fetchSpeakerPhoto(speaker);
+  }
+  return branding.photos[key];
+}
+
+/**
+ * A speaker's Sessionize profile picture, or null when there is none or it cannot be fetched
+ */
+function fetchSpeakerPhoto(speaker) {
+  if (!speaker.profilePicture) {
+    return null;
+  }
+  
+  try {
+    const response = UrlFetchApp.fetch(speaker.profilePicture, { muteHttpExceptions: true });
+    if (response.getResponseCode() !== 200) {
+      throw new Error(`status ${response.getResponseCode()}`);
+    }
+    return response.getBlob();
+  } catch (error) {
+    console.warn(`⚠️  Could not fetch the photo of ${speaker.name}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Shorten text to maxLength characters at a word boundary
+ */
+function truncateText(text, maxLength) {
+  const trimmed = String(text || '').trim();
+  if (trimmed.length <= maxLength) {
+    return trimmed;
+  }
+  
+  const cut = trimmed.substring(0, maxLength);
+  return `${cut.substring(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxLength)}…`;
+}
+
+/**
+ * The session that starts next in the same room on the same day, or null
+ */
+function findNextSessionInRoom(sessions, session) {
+  if (!session.room || !session.startsAt) {
+    return null;
+  }
+  
+  const day = session.startsAt.substring(0, 10);
+  return sessions
+    .filter(other => other.room === session.room && other.startsAt &&
+      other.startsAt.substring(0, 10) === day && other.startsAt > session.startsAt)
+    .sort((a, b) => a.startsAt.localeCompare(b.startsAt))[0] || null;
+}
+
+/**
+ * Confirmation message for a session's form, pointing to the next session in the room
+ * (with form branding on) and to the raffle form (when raffleUrl is given)
+ */
+function buildConfirmationMessage(event, session, nextSession, nextEntry, raffleUrl) {
+  const settings = CONFIG.formBranding;
+  const fill = (text, values) => fillEventText(event, text.replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] !== undefined ? values[key] : match));
+  const parts = [settings.confirmationMessage];
+  
+  if (settings.enabled) {
+    // A next session whose form failed or is missing is mentioned without a link
+    const url = nextEntry && nextEntry.formUrl ? nextEntry.formUrl : '';
+    parts.push(nextSession ? fill(url ? settings.nextSessionMessage : settings.nextSessionNoFormMessage, {
+      room: session.room,
+      title: nextSession.title,
+      time: formatSessionTimeRange(event, nextSession),
+      url: url
+    }) : fill(settings.lastSessionMessage, { room: session.room }));
+  }
+  
+  if (raffleUrl) {
+    parts.push(fill(CONFIG.raffle.confirmationLink, { url: raffleUrl }));
+  }
+  
+  return parts.join('\n\n');
 }
 
+/**
+ * Set the confirmation message of every current session's form. Returns how many changed.
+ */
+function updateConfirmationMessages(event, sessions, folderId) {
+  const manifest = loadFormManifest(event);
+  const raffleForm = CONFIG.raffle.enabled ? getOrCreateRaffleForm(event, folderId) : null;
+  let updated = 0;
+  
+  sessions.forEach(session => {
+    const entry = manifest[getSessionKey(session)];
+    if (!entry) {
+      return;
+    }
+    
+    const nextSession = findNextSessionInRoom(sessions, session);
+    const message = buildConfirmationMessage(event, session, nextSession,
+      nextSession ? manifest[getSessionKey(nextSession)] : null,
+      raffleForm && entry.raffleCode ? buildRaffleEntryUrl(raffleForm, entry.raffleCode) : '');
+      
+    try {
+      const form = FormApp.openById(entry.formId);
+      if (form.getConfirmationMessage() !== message) {
+        form.setConfirmationMessage(message);
+        updated++;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to set the confirmation message for: ${session.title}`, error);
+    }
+  });
+  
+  return updated;
+}